@@ -31,16 +31,21 @@ export function getSettings() {
         provider: localStorage.getItem('cv_adapter_provider') || 'groq',
         apiKey: localStorage.getItem('cv_adapter_api_key') || '',
         language: localStorage.getItem('cv_adapter_language') || 'fr',
+        // Tesseract language codes used by OCR, e.g. ['fra', 'eng']
+        ocrLanguages: (localStorage.getItem('cv_adapter_ocr_languages') || 'fra+eng').split('+'),
     };
 }
 
 /**
  * Save settings to localStorage
  */
-export function saveSettings(provider, apiKey, language) {
+export function saveSettings(provider, apiKey, language, ocrLanguages) {
     localStorage.setItem('cv_adapter_provider', provider);
     localStorage.setItem('cv_adapter_api_key', apiKey);
     localStorage.setItem('cv_adapter_language', language);
+    if (ocrLanguages && ocrLanguages.length > 0) {
+        localStorage.setItem('cv_adapter_ocr_languages', ocrLanguages.join('+'));
+    }
 }
 
 /**
@@ -179,7 +184,7 @@ IMPORTANT : Ne génère pas de placeholders comme [NOM]. Utilise les vraies donn
 /**
  * Call the AI API to adapt the CV
  */
-export async function adaptCV(cvText, jobDescription, jobTitle, companyName, onProgress) {
+export async function adaptCV(cvText, jobDescription, jobTitle, companyName, onProgress, signal) {
     const settings = getSettings();
     if (!settings.apiKey) {
         throw new Error('Clé API non configurée. Cliquez sur ⚙️ pour ajouter votre clé API.');
@@ -224,7 +229,8 @@ Réponds UNIQUEMENT en JSON valide.`;
         provider,
         settings.apiKey,
         buildAdaptCVPrompt(settings.language),
-        userMessage
+        userMessage,
+        signal
     );
 
     if (onProgress) onProgress('adapt-done');
@@ -234,7 +240,7 @@ Réponds UNIQUEMENT en JSON valide.`;
 /**
  * Call the AI API to generate a cover letter
  */
-export async function generateCoverLetter(cvText, jobDescription, jobTitle, companyName, onProgress) {
+export async function generateCoverLetter(cvText, jobDescription, jobTitle, companyName, onProgress, signal) {
     const settings = getSettings();
     const provider = PROVIDERS[settings.provider];
 
@@ -265,7 +271,8 @@ Réponds UNIQUEMENT en JSON valide.`;
         provider,
         settings.apiKey,
         buildCoverLetterPrompt(settings.language),
-        userMessage
+        userMessage,
+        signal
     );
 
     if (onProgress) onProgress('letter-done');
@@ -274,12 +281,13 @@ Réponds UNIQUEMENT en JSON valide.`;
 
 /**
  * Make the actual API call based on provider format
+ * (aborting `signal` cancels the request with an AbortError)
  */
-async function callAI(provider, apiKey, systemPrompt, userMessage) {
+async function callAI(provider, apiKey, systemPrompt, userMessage, signal) {
     if (provider.format === 'openai') {
-        return await callOpenAIFormat(provider, apiKey, systemPrompt, userMessage);
+        return await callOpenAIFormat(provider, apiKey, systemPrompt, userMessage, signal);
     } else if (provider.format === 'gemini') {
-        return await callGeminiFormat(provider, apiKey, systemPrompt, userMessage);
+        return await callGeminiFormat(provider, apiKey, systemPrompt, userMessage, signal);
     }
     throw new Error('Format de provider non supporté');
 }
@@ -287,9 +295,10 @@ async function callAI(provider, apiKey, systemPrompt, userMessage) {
 /**
  * Call OpenAI-compatible API (Groq, Mistral)
  */
-async function callOpenAIFormat(provider, apiKey, systemPrompt, userMessage) {
+async function callOpenAIFormat(provider, apiKey, systemPrompt, userMessage, signal) {
     const response = await fetch(provider.url, {
         method: 'POST',
+        signal,
         headers: {
             'Authorization': `Bearer ${apiKey}`,
             'Content-Type': 'application/json',
@@ -318,11 +327,12 @@ async function callOpenAIFormat(provider, apiKey, systemPrompt, userMessage) {
 /**
  * Call Gemini API
  */
-async function callGeminiFormat(provider, apiKey, systemPrompt, userMessage) {
+async function callGeminiFormat(provider, apiKey, systemPrompt, userMessage, signal) {
     const url = `${provider.url}?key=${apiKey}`;
 
     const response = await fetch(url, {
         method: 'POST',
+        signal,
         headers: {
             'Content-Type': 'application/json',
         },
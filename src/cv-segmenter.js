@@ -0,0 +1,411 @@
+/**
+ * CV Segmenter — Deterministic structure detection, no AI involved
+ *
+ * Strategy:
+ *   1. Split the extracted text into sections: Markdown headings emitted
+ *      by the extractors mark boundaries, a section-header pattern
+ *      (confirmed by font size when the PDF text layer provided it)
+ *      names them and covers plain-text input
+ *   2. Read contact details from the header zone (regex based)
+ *   3. Split experience / education sections into entries around
+ *      their date ranges
+ *   4. Split list-like sections (skills, languages...) into items
+ *
+ * The draft uses the same field names as the AI `cvData` shape
+ * (personalInfo, experience, education, keySkills, languages...), so it
+ * can be compared with or merged into the AI output directly.
+ */
+// Section keywords → draft field, checked in order (whole words: "Skills
+// Manager" is not a Skills header)
+const SECTION_TYPES = [
+    { key: 'experience', pattern: /^(expériences?|experiences?|parcours\s+professionnel|work\s+history|employment)(?!\p{L})/iu },
+    { key: 'education', pattern: /^(formations?|education|études|diplômes|academic)(?!\p{L})/iu },
+    { key: 'keySkills', pattern: /^(compétences|competences|skills|savoir-faire|technologies|outils)(?!\p{L})/iu },
+    { key: 'languages', pattern: /^(langues|languages)(?!\p{L})/iu },
+    { key: 'certifications', pattern: /^(certifications?|certificats?)(?!\p{L})/iu },
+    { key: 'projects', pattern: /^(projets|projects)(?!\p{L})/iu },
+    { key: 'summary', pattern: /^(profil|profile|résumé|summary|à propos|about|objectif|objective)(?!\p{L})/iu },
+    { key: 'interests', pattern: /^(centres d'intérêts?|intérêts|interests|hobbies|loisirs)(?!\p{L})/iu },
+    { key: 'contact', pattern: /^(contact|informations?\s*personnelles?|personal\s*info)(?!\p{L})/iu },
+    { key: 'references', pattern: /^(références|references)(?!\p{L})/iu },
+];
+
+const MONTH = "(?:jan|janv|fév|févr|feb|mar|mars|avr|apr|mai|may|juin|jun|juil|jul|août|aug|sep|sept|oct|nov|déc|dec)[a-zéû]*\\.?";
+const DATE = `(?:(?:${MONTH}\\s+|\\d{1,2}[/.])?(?:19|20)\\d{2})`;
+const NOW = "(?:présent|present|aujourd'hui|actuel(?:lement)?|current|now|en cours|ce jour)";
+const PERIOD_PATTERN = new RegExp(`(?:${DATE}\\s*(?:-|–|—|à|au|to|until)\\s*(?:${DATE}|${NOW})|(?:depuis|since)\\s+${DATE}|${DATE})`, 'i');
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){3,5}/;
+const URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}(?:\/[^\s,;|)]*)?/i;
+const BULLET_PATTERN = /^(?:[•·▪◦●■►▶➢➤✓✔○*-]|\d+[.)])\s+/;
+
+// Words that may follow a section keyword in an unmarked header
+// ("Expérience professionnelle", "Formation et diplômes", "Skills:")
+const HEADER_QUALIFIER = /^(?:(?:professionnelles?|techniques?|informatiques?|linguistiques?|parlées|clés|académiques?|professional|technical|key|(?:et|and|&)\s+[\p{L}'-]+)\s*)?(?::.*)?$/iu;
+
+// Lines longer than this are treated as description text, not entry headers
+const MAX_HEADER_LENGTH = 80;
+
+/**
+ * Build a structured draft of a CV from extracted text.
+ *
+ * @param {string} text - Post-processed CV text
+ * @param {{text: string, fontSize: number}[]} [lines] - Layout metadata from extractTextFromPDF
+ * @param {{url: string}[]} [links] - Hyperlink annotations from extractTextFromPDF
+ * @returns {{personalInfo: Object, summary: string, experience: Object[], education: Object[], keySkills: string[], languages: string[], certifications: string[], interests: string[]}}
+ */
+export function segmentCV(text, lines = [], links = []) {
+    const draft = {
+        personalInfo: {
+            fullName: '',
+            title: '',
+            email: '',
+            phone: '',
+            location: '',
+            linkedin: '',
+            website: '',
+            github: '',
+        },
+        summary: '',
+        experience: [],
+        education: [],
+        keySkills: [],
+        languages: [],
+        certifications: [],
+        interests: [],
+    };
+    if (!text) return draft;
+
+    const allLines = text.split('\n').map((l) => l.trim());
+    const { header, sections } = splitSections(allLines, buildFontSizeIndex(lines));
+
+    readPersonalInfo(draft.personalInfo, header.map(stripHeading), allLines);
+
+    // Link annotations carry profile URLs hidden behind "LinkedIn" labels or icons
+    for (const link of links) {
+        if (/^mailto:/i.test(link.url)) draft.personalInfo.email = draft.personalInfo.email || link.url.slice(7);
+        else assignProfileUrl(draft.personalInfo, link.url);
+    }
+
+    for (const section of sections) {
+        const content = section.lines.filter(Boolean);
+        switch (section.key) {
+            case 'experience':
+                draft.experience.push(...parseEntries(content).map((e) => ({
+                    title: e.first,
+                    company: e.second,
+                    period: e.period,
+                    bullets: e.bullets,
+                })));
+                break;
+            case 'education':
+                draft.education.push(...parseEntries(content).map((e) => ({
+                    degree: e.first,
+                    school: e.second,
+                    period: e.period,
+                })));
+                break;
+            case 'summary':
+                draft.summary = [draft.summary, content.join(' ')].filter(Boolean).join(' ');
+                break;
+            case 'keySkills':
+            case 'languages':
+            case 'certifications':
+            case 'interests':
+                draft[section.key].push(...splitListItems(content));
+                break;
+            case 'contact':
+                readPersonalInfo(draft.personalInfo, content.map(stripHeading), allLines);
+                break;
+        }
+    }
+
+    return draft;
+}
+
+/**
+ * Fill fields the AI left empty from the local draft and report
+ * draft entries the AI output no longer contains.
+ *
+ * @param {Object} cv - Parsed AI response
+ * @param {Object|null} draft - Result of segmentCV()
+ * @returns {{cv: Object, warnings: string[]}}
+ */
+export function reconcileWithDraft(cv, draft) {
+    const warnings = [];
+    if (!cv || !draft) return { cv, warnings };
+
+    cv.personalInfo = cv.personalInfo || {};
+    for (const [field, value] of Object.entries(draft.personalInfo)) {
+        if (value && !cv.personalInfo[field]) cv.personalInfo[field] = value;
+    }
+
+    const normalize = (s) => (s || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const aiCompanies = (cv.experience || []).map((e) => normalize(`${e.company} ${e.title}`));
+    for (const exp of draft.experience) {
+        const company = normalize(exp.company || exp.title);
+        if (company && !aiCompanies.some((c) => c.includes(company))) {
+            warnings.push(`Expérience absente du CV adapté : ${exp.company || exp.title}${exp.period ? ` (${exp.period})` : ''}`);
+        }
+    }
+
+    const aiSchools = (cv.education || []).map((e) => normalize(`${e.school} ${e.degree}`));
+    for (const edu of draft.education) {
+        const school = normalize(edu.school || edu.degree);
+        if (school && !aiSchools.some((s) => s.includes(school))) {
+            warnings.push(`Formation absente du CV adapté : ${edu.school || edu.degree}`);
+        }
+    }
+
+    return { cv, warnings };
+}
+
+/**
+ * Guess the candidate's name from the first lines of a CV (3-strategy approach)
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectCandidateName(text) {
+    if (!text) return '';
+    const lines = text.split('\n').map(l => stripHeading(l.trim())).filter(Boolean);
+
+    // Strategy 1: First 5 lines, look for name patterns
+    for (let i = 0; i < Math.min(5, lines.length); i++) {
+        const line = lines[i];
+        if (line.includes('@') || line.includes('http') || line.includes('www.')) continue;
+        if (/^\d/.test(line) || line.length > 50) continue;
+        if (line.toLowerCase().includes('curriculum') || line.toLowerCase().includes('cv ')) continue;
+
+        const words = line.split(/\s+/);
+        if (words.length >= 2 && words.length <= 5) {
+            const allCap = words.every(w => /^[A-ZÀ-ÿ]/.test(w) || w.length <= 2);
+            if (allCap) return line;
+        }
+
+        if (/^[A-ZÀ-Ÿ\s-]{4,40}$/.test(line) && words.length >= 2 && words.length <= 4) {
+            return line.split(/\s+/).map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' ');
+        }
+    }
+
+    // Strategy 2: "Nom:" pattern
+    for (const line of lines.slice(0, 15)) {
+        const m = line.match(/(?:nom\s*:?\s*|name\s*:?\s*)(.+)/i);
+        if (m && m[1].length < 40) return m[1].trim();
+    }
+
+    // Strategy 3: First short line
+    for (const line of lines.slice(0, 3)) {
+        if (line.length >= 4 && line.length <= 35 && !line.includes('@')) return line;
+    }
+
+    return '';
+}
+
+/**
+ * Known section types found in a CV text, in order of appearance
+ * (see SECTION_TYPES; unknown "## " headings are left out)
+ * @param {string} text
+ * @param {{text: string, fontSize: number}[]} [lines] - Layout metadata from extractTextFromPDF
+ * @returns {string[]}
+ */
+export function findSectionKeys(text, lines = []) {
+    if (!text) return [];
+    const { sections } = splitSections(text.split('\n').map((l) => l.trim()), buildFontSizeIndex(lines));
+    return [...new Set(sections.map((section) => section.key).filter((key) => key !== 'other'))];
+}
+
+// ============================================================
+// Sections
+// ============================================================
+
+/**
+ * Index line font sizes by normalized text, with the body (median) size
+ */
+function buildFontSizeIndex(lines) {
+    const sizes = new Map();
+    for (const line of lines) {
+        sizes.set(normalizeLine(line.text), line.fontSize);
+    }
+
+    const sorted = lines.map((l) => l.fontSize).filter(Boolean).sort((a, b) => a - b);
+    const bodySize = sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+    return { sizes, bodySize };
+}
+
+function normalizeLine(line) {
+    return line.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split lines into the header zone (before the first section) and sections
+ */
+function splitSections(lines, fontIndex) {
+    const header = [];
+    const sections = [];
+    let current = null;
+
+    for (const line of lines) {
+        const key = classifySectionHeader(line, fontIndex);
+        if (key) {
+            current = { key, title: line, lines: [] };
+            sections.push(current);
+            // "Compétences : JS, Python" — keep what follows the colon
+            const inline = line.split(/\s*:\s*/).slice(1).join(': ').trim();
+            if (inline) current.lines.push(inline);
+        } else if (current) {
+            current.lines.push(line);
+        } else {
+            header.push(line);
+        }
+    }
+
+    return { header, sections };
+}
+
+/**
+ * Return the draft field a line introduces, or null if it is not a header.
+ * "## " headings always start a section ('other' when the title is not a
+ * known one; "# " is the name / title block). Otherwise a keyword match
+ * alone is not enough: the line must also look like a heading (larger
+ * font, all caps, or the keyword with at most a qualifier or a colon).
+ */
+function classifySectionHeader(line, { sizes, bodySize }) {
+    const isMarkedHeading = /^## /.test(line);
+    const label = stripHeading(line);
+    const type = SECTION_TYPES.find((t) => t.pattern.test(label));
+
+    if (isMarkedHeading) return type ? type.key : 'other';
+    if (!label || label.length > 40 || !type) return null;
+
+    const fontSize = sizes.get(normalizeLine(line));
+    const largerFont = fontSize && bodySize && fontSize >= bodySize * 1.15;
+    const allCaps = label === label.toUpperCase();
+    const headingLike = HEADER_QUALIFIER.test(label.slice(label.match(type.pattern)[0].length).trim());
+
+    return largerFont || allCaps || headingLike ? type.key : null;
+}
+
+function stripHeading(line) {
+    return line.replace(/^#+\s*/, '').trim();
+}
+
+// ============================================================
+// Personal info
+// ============================================================
+function readPersonalInfo(info, zone, allLines) {
+    const text = zone.join('\n');
+
+    if (!info.fullName) info.fullName = detectCandidateName(allLines.join('\n'));
+    if (!info.email) info.email = (text.match(EMAIL_PATTERN) || [''])[0];
+
+    if (!info.phone) {
+        const withoutDates = text.replace(new RegExp(PERIOD_PATTERN.source, 'gi'), ' ');
+        const phone = withoutDates.match(PHONE_PATTERN);
+        if (phone && phone[0].replace(/\D/g, '').length >= 9) info.phone = phone[0].trim();
+    }
+
+    for (const url of text.match(new RegExp(URL_PATTERN.source, 'gi')) || []) {
+        if (EMAIL_PATTERN.test(url) || text.includes(`@${url}`)) continue;
+        assignProfileUrl(info, url);
+    }
+
+    const nameIndex = zone.findIndex((l) => l && info.fullName && l.toLowerCase() === info.fullName.toLowerCase());
+    const afterName = nameIndex >= 0 ? zone.slice(nameIndex + 1).find(Boolean) : null;
+    if (!info.title && afterName && afterName.length <= 60 && !/[@\d]/.test(afterName)) {
+        info.title = afterName;
+    }
+
+    if (!info.location) {
+        for (const segment of zone.flatMap((l) => l.split(/\s*[|•·]\s*|\s{3,}/))) {
+            const candidate = segment.replace(/^(adresse|address|localisation|location)\s*:\s*/i, '').trim();
+            if (EMAIL_PATTERN.test(candidate) || URL_PATTERN.test(candidate)) continue;
+            if (/\b\d{5}\b\s+\p{L}/u.test(candidate) || /^\p{Lu}[\p{L}' -]+,\s*\p{Lu}[\p{L}' -]+$/u.test(candidate)) {
+                info.location = candidate;
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Store a URL as the LinkedIn, GitHub or personal website link
+ */
+function assignProfileUrl(info, url) {
+    if (/linkedin\.com/i.test(url)) info.linkedin = info.linkedin || url;
+    else if (/github\.com/i.test(url)) info.github = info.github || url;
+    else if (/^(https?:\/\/|www\.)/i.test(url)) info.website = info.website || url;
+}
+
+// ============================================================
+// Entries (experience, education)
+// ============================================================
+
+/**
+ * Group section lines into entries anchored on their header lines.
+ * A new entry starts when a header line follows description lines,
+ * or when a second date range shows up.
+ */
+function parseEntries(lines) {
+    const entries = [];
+    let current = null;
+
+    for (const rawLine of lines) {
+        const isBullet = BULLET_PATTERN.test(rawLine);
+        // "### " marks a bold entry header (job title, school) from the extractor
+        const isMarkedHeader = /^#{3,} /.test(rawLine);
+        const line = stripHeading(rawLine.replace(BULLET_PATTERN, ''));
+        const periodMatch = isBullet ? null : line.match(PERIOD_PATTERN);
+        const isHeader = isMarkedHeader || (!isBullet && line.length <= MAX_HEADER_LENGTH && !/[.;]$/.test(line));
+
+        const startsNew = !current ||
+            (isHeader && current.bullets.length > 0) ||
+            (isMarkedHeader && current.period && current.headers.length > 0) ||
+            (periodMatch && current.period);
+
+        if (startsNew && (isHeader || periodMatch)) {
+            current = { headers: [], period: '', bullets: [] };
+            entries.push(current);
+        } else if (!current) {
+            continue;
+        }
+
+        if (periodMatch && !current.period) {
+            current.period = periodMatch[0].trim();
+            const rest = cleanSeparators(line.replace(periodMatch[0], ''));
+            if (rest) current.headers.push(rest);
+        } else if (isHeader && current.bullets.length === 0) {
+            current.headers.push(line);
+        } else {
+            current.bullets.push(line);
+        }
+    }
+
+    return entries.map((entry) => {
+        let [first = '', second = ''] = entry.headers;
+        if (!second) {
+            const parts = first.split(/\s+(?:-|–|—|\||@|chez|at)\s+|\s*,\s+|\s{3,}/);
+            if (parts.length >= 2) [first, second] = [parts[0], parts.slice(1).join(' - ')];
+        }
+        return { first: first.trim(), second: second.trim(), period: entry.period, bullets: entry.bullets };
+    });
+}
+
+function cleanSeparators(text) {
+    return text.replace(/^[\s|•·,:()–—-]+|[\s|•·,:()–—-]+$/g, '').replace(/\(\s*\)/g, '').trim();
+}
+
+// ============================================================
+// Lists (skills, languages...)
+// ============================================================
+function splitListItems(lines) {
+    const items = [];
+    for (const line of lines) {
+        const content = stripHeading(line.replace(BULLET_PATTERN, '')).replace(/^[^:]{2,30}:\s*(?=\S)/, '');
+        for (const part of content.split(/\s*[,;•|·]\s*|\s{3,}/)) {
+            const item = part.trim();
+            if (item && item.length <= 60 && !items.includes(item)) items.push(item);
+        }
+    }
+    return items;
+}
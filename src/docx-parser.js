@@ -0,0 +1,333 @@
+/**
+ * DOCX Parser — Extracts text from Word documents
+ *
+ * Strategy:
+ *   1. Unzip the .docx package with JSZip
+ *   2. Read word/document.xml plus its styles and relationships
+ *   3. Walk the body in document order: paragraphs, headings, lists,
+ *      tables, text boxes and hyperlinks
+ *   4. Return the same shape as extractTextFromPDF()
+ */
+import JSZip from 'jszip';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Symbol / Wingdings characters used as bullets in CV templates
+const SYMBOL_BULLETS = new Set(['F0B7', 'F0A7', 'F0D8', 'F076', 'F0FC', 'F06E']);
+
+/**
+ * Extract text content from a DOCX file.
+ *
+ * @param {File} file
+ * @param {(status: {phase: string, progress: number}) => void} [onProgress]
+ * @returns {Promise<{text: string, numPages: number, method: 'docx'}>}
+ */
+export async function extractTextFromDOCX(file, onProgress) {
+    if (onProgress) onProgress({ phase: 'docx', progress: 0 });
+
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const documentXml = await readZipXML(zip, 'word/document.xml');
+    if (!documentXml) {
+        throw new Error('Document Word invalide : word/document.xml introuvable.');
+    }
+
+    const context = {
+        headingLevels: parseHeadingStyles(await readZipXML(zip, 'word/styles.xml')),
+        links: parseRelationships(await readZipXML(zip, 'word/_rels/document.xml.rels')),
+    };
+
+    const body = firstChild(documentXml.documentElement, 'body');
+    const blocks = body ? convertBlockContainer(body, context) : [];
+
+    if (onProgress) onProgress({ phase: 'docx', progress: 100 });
+
+    return {
+        text: joinBlocks(blocks),
+        numPages: await readPageCount(zip),
+        method: 'docx',
+    };
+}
+
+// ============================================================
+// Package helpers
+// ============================================================
+async function readZipXML(zip, path) {
+    const entry = zip.file(path);
+    if (!entry) return null;
+    const xml = await entry.async('string');
+    return new DOMParser().parseFromString(xml, 'application/xml');
+}
+
+/**
+ * Page count as last saved by Word (docProps/app.xml), 1 if unknown
+ */
+async function readPageCount(zip) {
+    const app = await readZipXML(zip, 'docProps/app.xml');
+    const pages = app ? parseInt(app.getElementsByTagName('Pages')[0]?.textContent, 10) : NaN;
+    return pages > 0 ? pages : 1;
+}
+
+/**
+ * Map style IDs to a Markdown heading level from their name or outline level:
+ * Title → 1, Heading 1 → 2 (sections), Heading 2+ → 3 (entries)
+ */
+function parseHeadingStyles(stylesXml) {
+    const levels = new Map();
+    if (!stylesXml) return levels;
+
+    for (const style of stylesXml.getElementsByTagNameNS(W_NS, 'style')) {
+        if (wAttr(style, 'type') !== 'paragraph') continue;
+        const id = wAttr(style, 'styleId');
+        const name = wAttr(firstChild(style, 'name'), 'val') || '';
+        const outline = wAttr(firstChild(firstChild(style, 'pPr'), 'outlineLvl'), 'val');
+
+        const named = name.match(/^(?:heading|titre|überschrift|título)\s*(\d)$/i);
+        if (/^title$/i.test(name) || /^titre$/i.test(name)) levels.set(id, 1);
+        else if (named) levels.set(id, Math.min(parseInt(named[1], 10) + 1, 3));
+        else if (outline !== null && parseInt(outline, 10) < 6) levels.set(id, Math.min(parseInt(outline, 10) + 2, 3));
+    }
+    return levels;
+}
+
+/**
+ * Map relationship IDs to external hyperlink targets
+ */
+function parseRelationships(relsXml) {
+    const links = new Map();
+    if (!relsXml) return links;
+
+    for (const rel of relsXml.getElementsByTagName('Relationship')) {
+        if (/\/hyperlink$/.test(rel.getAttribute('Type') || '')) {
+            links.set(rel.getAttribute('Id'), rel.getAttribute('Target'));
+        }
+    }
+    return links;
+}
+
+// ============================================================
+// Body conversion
+// ============================================================
+
+/**
+ * Convert the children of a block container (body, cell, text box)
+ * into an array of text blocks
+ */
+function convertBlockContainer(container, context) {
+    const blocks = [];
+
+    for (const node of container.children) {
+        switch (node.localName) {
+            case 'p':
+                blocks.push(...convertParagraph(node, context));
+                break;
+            case 'tbl':
+                blocks.push(...convertTable(node, context));
+                break;
+            case 'sdt': {
+                const content = firstChild(node, 'sdtContent');
+                if (content) blocks.push(...convertBlockContainer(content, context));
+                break;
+            }
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Convert a paragraph into one block, followed by any text boxes it anchors
+ */
+function convertParagraph(paragraph, context) {
+    const floating = [];
+    let text = collectInlineText(paragraph, context, floating);
+
+    // Complex HYPERLINK fields keep their target in w:instrText, outside the visible runs
+    for (const instr of paragraph.getElementsByTagNameNS(W_NS, 'instrText')) {
+        const url = parseHyperlinkInstruction(instr.textContent)?.replace(/^mailto:/i, '');
+        if (url && !text.includes(url)) text += ` (${url})`;
+    }
+
+    text = text
+        .replace(/ {2,}/g, ' ')
+        .replace(/ *\t+ */g, '    ')
+        .replace(/ *\n */g, '\n')
+        .trim();
+
+    const blocks = [];
+    if (text) {
+        const pPr = firstChild(paragraph, 'pPr');
+        const styleId = wAttr(firstChild(pPr, 'pStyle'), 'val');
+        const numPr = firstChild(pPr, 'numPr');
+        const outline = wAttr(firstChild(pPr, 'outlineLvl'), 'val');
+
+        let headingLevel = context.headingLevels.get(styleId) || 0;
+        if (!headingLevel && outline !== null && parseInt(outline, 10) < 6) {
+            headingLevel = Math.min(parseInt(outline, 10) + 2, 3);
+        }
+
+        if (headingLevel) {
+            blocks.push({ type: 'heading', level: headingLevel, text });
+        } else if (numPr || /^list/i.test(styleId || '')) {
+            const level = parseInt(wAttr(firstChild(numPr, 'ilvl'), 'val') || '0', 10);
+            blocks.push({ type: 'list', level, text: text.replace(/^[•·▪◦●■\-–*]\s*/, '') });
+        } else {
+            blocks.push({ type: 'paragraph', text });
+        }
+    }
+
+    for (const box of floating) {
+        blocks.push(...convertBlockContainer(box, context));
+    }
+    return blocks;
+}
+
+/**
+ * Convert a table: one line per row, cells separated like PDF columns
+ */
+function convertTable(table, context) {
+    const blocks = [];
+
+    for (const row of table.children) {
+        if (row.localName !== 'tr') continue;
+
+        const cells = [];
+        for (const cell of row.children) {
+            if (cell.localName !== 'tc') continue;
+            const cellText = convertBlockContainer(cell, context)
+                .map((block) => block.type === 'list' ? `• ${block.text}` : block.text)
+                .join(' ')
+                .trim();
+            if (cellText) cells.push(cellText);
+        }
+
+        if (cells.length > 0) {
+            blocks.push({ type: 'row', text: cells.join('    ') });
+        }
+    }
+
+    if (blocks.length > 0) blocks.push({ type: 'break' });
+    return blocks;
+}
+
+/**
+ * Collect the text of runs, hyperlinks and fields inside a paragraph.
+ * Text boxes found along the way are pushed to `floating`.
+ */
+function collectInlineText(node, context, floating) {
+    let text = '';
+
+    for (const child of node.children) {
+        switch (child.localName) {
+            case 't':
+                text += child.textContent;
+                break;
+            case 'tab':
+                text += '\t';
+                break;
+            case 'br':
+            case 'cr':
+                text += '\n';
+                break;
+            case 'noBreakHyphen':
+                text += '-';
+                break;
+            case 'sym':
+                if (SYMBOL_BULLETS.has((wAttr(child, 'char') || '').toUpperCase())) text += '• ';
+                break;
+            case 'txbxContent':
+                floating.push(child);
+                break;
+            case 'AlternateContent': {
+                // Prefer the modern DrawingML branch; the VML fallback duplicates it
+                const choice = firstChild(child, 'Choice') || firstChild(child, 'Fallback');
+                if (choice) text += collectInlineText(choice, context, floating);
+                break;
+            }
+            case 'hyperlink': {
+                const label = collectInlineText(child, context, floating);
+                const target = context.links.get(child.getAttributeNS(R_NS, 'id'));
+                text += formatLink(label, target);
+                break;
+            }
+            case 'fldSimple': {
+                const label = collectInlineText(child, context, floating);
+                text += formatLink(label, parseHyperlinkInstruction(wAttr(child, 'instr')));
+                break;
+            }
+            case 'pPr':
+            case 'rPr':
+            case 'del':
+                break;
+            default:
+                // Runs, smart tags, insertions, drawings... recurse into them
+                text += collectInlineText(child, context, floating);
+        }
+    }
+    return text;
+}
+
+/**
+ * Render a hyperlink so the target survives when it differs from its label
+ * (shared with the ODT and HTML importers)
+ */
+export function formatLink(label, target) {
+    if (!target || target.startsWith('#')) return label;
+    const url = target.replace(/^mailto:/i, '');
+    if (!label.trim()) return url;
+    if (label.includes(url) || url.includes(label.trim())) return label;
+    return `${label} (${url})`;
+}
+
+function parseHyperlinkInstruction(instruction) {
+    const match = (instruction || '').match(/HYPERLINK\s+"([^"]+)"/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Join converted blocks into text using the same lightweight Markdown
+ * markup as the PDF extractor ("#" headings, "- " list items).
+ * Blocks: { type: 'heading', level: 1-3 | 'list', level | 'paragraph' | 'row', text } or { type: 'break' };
+ * shared with the ODT, Markdown and HTML importers.
+ */
+export function joinBlocks(blocks) {
+    let text = '';
+
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'heading':
+                text += `\n${'#'.repeat(block.level)} ${block.text}\n`;
+                break;
+            case 'list':
+                text += `${'  '.repeat(Math.min(block.level, 1))}- ${block.text}\n`;
+                break;
+            case 'break':
+                text += '\n';
+                break;
+            default:
+                text += `${block.text}\n`;
+        }
+    }
+
+    return text
+        .split('\n')
+        .map((line) => line.replace(/\s+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// ============================================================
+// XML helpers
+// ============================================================
+function firstChild(node, localName) {
+    if (!node) return null;
+    for (const child of node.children) {
+        if (child.localName === localName) return child;
+    }
+    return null;
+}
+
+function wAttr(node, name) {
+    if (!node) return null;
+    return node.getAttributeNS(W_NS, name) ?? node.getAttribute(`w:${name}`);
+}
@@ -0,0 +1,201 @@
+/**
+ * Extraction Cache — Keeps extraction results in IndexedDB
+ *
+ * Re-uploading a CV that was already read (scanned PDFs take a minute of
+ * OCR) restores the previous result instead of extracting it again.
+ *
+ * Strategy:
+ *   1. Key: SHA-256 of the uploaded bytes (and of every image, in order,
+ *      for multi-image uploads), so renamed copies still hit
+ *   2. Value: the whole extraction result (text, method, pages, OCR
+ *      confidence and review images) with the file name and sizes shown
+ *      in the storage management view
+ *   3. Entries carry the result FORMAT_VERSION: results of older
+ *      extractors are a miss and get extracted again
+ *   4. Least recently used entries are evicted past MAX_ENTRIES
+ *
+ * Storage may be unavailable (private browsing, no secure context):
+ * every call then degrades to "nothing cached" instead of failing.
+ */
+
+const DB_NAME = 'cv_adapter';
+const DB_VERSION = 1;
+const STORE = 'extractions';
+const MAX_ENTRIES = 30;
+// Bump when the extractors change their output (text, pages, lines...)
+const FORMAT_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Hash the bytes of one file, or of several files in order
+ * @param {File|File[]} source
+ * @returns {Promise<string|null>} hex digest, null when hashing is unavailable
+ */
+export async function hashUpload(source) {
+    if (!globalThis.crypto?.subtle) return null;
+
+    const files = Array.isArray(source) ? source : [source];
+    const digests = [];
+    for (const file of files) {
+        digests.push(toHex(await crypto.subtle.digest('SHA-256', await file.arrayBuffer())));
+    }
+    if (digests.length === 1) return digests[0];
+
+    // Several images: hash of the ordered page hashes
+    return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(digests.join('\n'))));
+}
+
+/**
+ * Cached result for a hash, marked as just used
+ * @returns {Promise<Object|null>} the stored extraction result
+ */
+export async function getCachedExtraction(hash) {
+    if (!hash) return null;
+    try {
+        const store = await openStore('readwrite');
+        const entry = await request(store.get(hash));
+        if (!entry) return null;
+        if (entry.version !== FORMAT_VERSION) {
+            store.delete(hash);
+            return null;
+        }
+
+        entry.lastUsedAt = Date.now();
+        store.put(entry);
+        return entry.result;
+    } catch (err) {
+        console.warn('Extraction cache unavailable:', err);
+        return null;
+    }
+}
+
+/**
+ * Store an extraction result
+ * @param {string} hash - from hashUpload()
+ * @param {{name: string, kind: string, size: number}} upload - what the user uploaded
+ * @param {Object} result - from extractTextFromPDF() and friends
+ */
+export async function saveCachedExtraction(hash, upload, result) {
+    if (!hash) return;
+    try {
+        const now = Date.now();
+        const store = await openStore('readwrite');
+        await request(store.put({
+            hash,
+            version: FORMAT_VERSION,
+            name: upload.name,
+            kind: upload.kind,
+            size: upload.size,
+            bytes: estimateBytes(result),
+            createdAt: now,
+            lastUsedAt: now,
+            result,
+        }));
+        await evictOldEntries();
+    } catch (err) {
+        console.warn('Extraction cache unavailable:', err);
+    }
+}
+
+/**
+ * Cached entries for the storage management view, most recent first
+ * @returns {Promise<{hash: string, name: string, kind: string, size: number, bytes: number, createdAt: number, lastUsedAt: number, method: string, numPages: number}[]>}
+ */
+export async function listCachedExtractions() {
+    try {
+        const store = await openStore('readonly');
+        const entries = await request(store.getAll());
+        return entries
+            .map(({ result, ...entry }) => ({ ...entry, method: result.method, numPages: result.numPages }))
+            .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    } catch (err) {
+        console.warn('Extraction cache unavailable:', err);
+        return [];
+    }
+}
+
+export async function deleteCachedExtraction(hash) {
+    const store = await openStore('readwrite');
+    await request(store.delete(hash));
+}
+
+export async function clearExtractionCache() {
+    const store = await openStore('readwrite');
+    await request(store.clear());
+}
+
+// ============================================================
+// IndexedDB helpers
+// ============================================================
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!globalThis.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const open = indexedDB.open(DB_NAME, DB_VERSION);
+            open.onupgradeneeded = () => {
+                const store = open.result.createObjectStore(STORE, { keyPath: 'hash' });
+                store.createIndex('lastUsedAt', 'lastUsedAt');
+            };
+            open.onsuccess = () => resolve(open.result);
+            open.onerror = () => reject(open.error);
+        });
+        // Let a later call try again (e.g. after a blocked upgrade)
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+async function openStore(mode) {
+    const db = await openDatabase();
+    return db.transaction(STORE, mode).objectStore(STORE);
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Drop the least recently used entries past MAX_ENTRIES
+ */
+async function evictOldEntries() {
+    const store = await openStore('readwrite');
+    const count = await request(store.count());
+    let excess = count - MAX_ENTRIES;
+    if (excess <= 0) return;
+
+    const cursorRequest = store.index('lastUsedAt').openCursor();
+    await new Promise((resolve, reject) => {
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || excess-- <= 0) {
+                resolve();
+                return;
+            }
+            cursor.delete();
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+}
+
+/**
+ * Approximate stored size: text fields plus the OCR review images
+ */
+function estimateBytes(result) {
+    const { ocrImages = [], ...rest } = result;
+    return JSON.stringify(rest).length * 2 + ocrImages.reduce((total, image) => total + (image.blob?.size || 0), 0);
+}
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,200 @@
+/**
+ * Extraction Quality — Scores how usable an extracted CV text is
+ *
+ * Strategy:
+ *   1. Text signals: share of real words (word-shape check, plus a small
+ *      lexicon of single letters and technology names it would reject)
+ *      and share of garbage characters
+ *   2. CV signals: expected sections found by the segmenter, email and
+ *      phone in the local draft
+ *   3. Layout signals from the extractor: column layouts (reading order
+ *      worth a check) and pages that gave no text
+ *   4. A 0-100 score weighs them; every failed check adds a concrete
+ *      warning shown before step 2
+ */
+import { findSectionKeys } from './cv-segmenter.js';
+
+// Sections every CV is expected to have (segmenter keys → label)
+const EXPECTED_SECTIONS = {
+    experience: 'Expérience',
+    education: 'Formation',
+    keySkills: 'Compétences',
+};
+
+// Score weights (sum = 100)
+const WEIGHTS = { words: 35, garbage: 15, sections: 25, email: 10, phone: 5, pages: 10 };
+
+// Word ratio mapped to 0..1 between these bounds
+const MIN_WORD_RATIO = 0.5;
+const GOOD_WORD_RATIO = 0.95;
+// Garbage ratio at which the garbage score drops to 0
+const MAX_GARBAGE_RATIO = 0.05;
+// Warnings thresholds
+const WARN_WORD_RATIO = 0.8;
+const WARN_GARBAGE_RATIO = 0.02;
+const WARN_OCR_CONFIDENCE = 70;
+// Pages with fewer characters count as empty
+const MIN_PAGE_CHARACTERS = 20;
+
+// Score levels
+const GOOD_SCORE = 80;
+const FAIR_SCORE = 55;
+
+// Common words that the word-shape check would reject or that carry
+// symbols (single letters, elisions, technologies)
+const LEXICON = new Set([
+    'à', 'a', 'y', 'i', 'l', 'd', 'j', 'c', 'n', 's', 'm', 'qu',
+    'c++', 'c#', 'f#', '.net', 'node.js', 'vue.js', 'react.js', 'next.js', 'nuxt.js', 'd3.js', 'three.js',
+    'r&d', 'b2b', 'b2c', 'ci/cd', 'ui/ux', 'e-commerce', 'full-stack', 'front-end', 'back-end',
+]);
+
+// Letters with their combining marks (Arabic harakat, Hebrew niqqud, decomposed accents)
+const WORD_PATTERN = /^\p{L}[\p{L}\p{M}]*(?:['’-]\p{L}[\p{L}\p{M}]*)*$/u;
+const LATIN_PATTERN = /^[\p{Script=Latin}'’-]+$/u;
+const VOWEL_PATTERN = /[aeiouyàâäéèêëîïôöùûüÿœæ]/i;
+// Letters then a version / level number (ES6, Vue3, B2), or a number then a unit (3D, 10k)
+const ALPHANUMERIC_PATTERN = /^(?:[A-Za-z]+\d{1,2}|\d{1,3}[A-Za-z]{1,2})$/;
+// Tokens that are not words and do not count either way
+const NEUTRAL_PATTERN = /^(?:[\d\s.,:/+()%°-]+|#+|\S+@\S+|(?:https?:\/\/|www\.)\S+|\S+\.[a-z]{2,}\/\S*)$/i;
+// Characters expected in a CV; anything else is counted as garbage
+const EXPECTED_CHARACTER = /[\s\p{L}\p{M}\p{N}.,;:!?'’"«»“”()[\]\-–—/&@+%€£$#*•·°…]/u;
+
+/**
+ * Assess an extraction.
+ *
+ * @param {string} text - the extracted (possibly edited) CV text
+ * @param {Object} [details]
+ * @param {{text: string, fontSize: number}[]} [details.lines] - layout metadata from extractTextFromPDF
+ * @param {{page: number, columns?: boolean, characters?: number}[]} [details.pages] - per-page extraction info
+ * @param {number|null} [details.ocrConfidence]
+ * @param {Object|null} [details.draft] - from segmentCV()
+ * @returns {{score: number, level: 'good'|'fair'|'poor', metrics: Object, warnings: {level: 'error'|'warning'|'info', message: string}[]}}
+ */
+export function assessExtraction(text, { lines = [], pages = [], ocrConfidence = null, draft = null } = {}) {
+    const words = countWords(text);
+    const garbage = countGarbage(text);
+    const sections = findSectionKeys(text, lines);
+    const missingSections = Object.keys(EXPECTED_SECTIONS).filter((key) => !sections.includes(key));
+    const email = Boolean(draft?.personalInfo.email);
+    const phone = Boolean(draft?.personalInfo.phone);
+    const columnPages = pages.filter((page) => page.columns).map((page) => page.page);
+    const emptyPages = pages
+        .filter((page) => page.characters < MIN_PAGE_CHARACTERS)
+        .map((page) => page.page);
+
+    const metrics = {
+        wordRatio: words.total > 0 ? words.valid / words.total : 0,
+        words: words.total,
+        garbageRatio: text.length > 0 ? garbage / text.length : 0,
+        sections,
+        expectedSections: Object.keys(EXPECTED_SECTIONS),
+        missingSections,
+        email,
+        phone,
+        columnPages,
+        emptyPages,
+        ocrConfidence,
+    };
+
+    const score = Math.round(
+        WEIGHTS.words * clamp((metrics.wordRatio - MIN_WORD_RATIO) / (GOOD_WORD_RATIO - MIN_WORD_RATIO)) +
+        WEIGHTS.garbage * clamp(1 - metrics.garbageRatio / MAX_GARBAGE_RATIO) +
+        WEIGHTS.sections * (1 - missingSections.length / Object.keys(EXPECTED_SECTIONS).length) +
+        WEIGHTS.email * (email ? 1 : 0) +
+        WEIGHTS.phone * (phone ? 1 : 0) +
+        WEIGHTS.pages * (pages.length > 0 ? 1 - emptyPages.length / pages.length : 1)
+    );
+
+    return {
+        score,
+        level: score >= GOOD_SCORE ? 'good' : score >= FAIR_SCORE ? 'fair' : 'poor',
+        metrics,
+        warnings: buildWarnings(metrics),
+    };
+}
+
+function buildWarnings(metrics) {
+    const warnings = [];
+    const percent = (ratio) => Math.round(ratio * 100);
+    const pageList = (list) => `${list.length > 1 ? 'Pages' : 'Page'} ${list.join(', ')}`;
+
+    if (metrics.emptyPages.length > 0) {
+        warnings.push({
+            level: 'error',
+            message: `${pageList(metrics.emptyPages)} sans texte : contenu en image non reconnu ?`,
+        });
+    }
+    if (metrics.words > 0 && metrics.wordRatio < WARN_WORD_RATIO) {
+        warnings.push({
+            level: metrics.wordRatio < MIN_WORD_RATIO ? 'error' : 'warning',
+            message: `Seulement ${percent(metrics.wordRatio)} % de mots reconnus : erreurs de lecture probables.`,
+        });
+    }
+    if (metrics.garbageRatio >= WARN_GARBAGE_RATIO) {
+        warnings.push({
+            level: 'warning',
+            message: `${percent(metrics.garbageRatio)} % de caractères parasites (symboles, glyphes illisibles).`,
+        });
+    }
+    if (metrics.ocrConfidence !== null && metrics.ocrConfidence < WARN_OCR_CONFIDENCE) {
+        warnings.push({ level: 'warning', message: `Confiance OCR faible (${metrics.ocrConfidence} %).` });
+    }
+    if (!metrics.email) warnings.push({ level: 'warning', message: 'Aucun email détecté.' });
+    if (!metrics.phone) warnings.push({ level: 'warning', message: 'Aucun numéro de téléphone détecté.' });
+    for (const key of metrics.missingSections) {
+        warnings.push({ level: 'warning', message: `Section « ${EXPECTED_SECTIONS[key]} » non détectée.` });
+    }
+    if (metrics.columnPages.length > 0) {
+        warnings.push({
+            level: 'info',
+            message: `Mise en page en colonnes (${pageList(metrics.columnPages).toLowerCase()}) : vérifiez l'ordre des blocs.`,
+        });
+    }
+
+    return warnings;
+}
+
+/**
+ * Word tokens and how many of them look like real words
+ */
+function countWords(text) {
+    let total = 0;
+    let valid = 0;
+    for (const raw of text.split(/\s+/)) {
+        // Keep inner punctuation (node.js, l'équipe), drop the surrounding one
+        const token = raw.replace(/^[^\p{L}\p{N}.#+]+|[^\p{L}\p{N}#+]+$/gu, '');
+        if (!token || NEUTRAL_PATTERN.test(token)) continue;
+        if (token.length === 1 && !LEXICON.has(token.toLowerCase())) continue;
+
+        total++;
+        if (isValidWord(token)) valid++;
+    }
+    return { total, valid };
+}
+
+function isValidWord(token) {
+    const lower = token.toLowerCase();
+    if (LEXICON.has(lower)) return true;
+    if (ALPHANUMERIC_PATTERN.test(token)) return true;
+    if (!WORD_PATTERN.test(token)) return false;
+    // The shape rules below are for Latin-script words
+    if (!LATIN_PATTERN.test(token)) return true;
+
+    // Short all-caps tokens are acronyms (SQL, RH, AWS)
+    if (!VOWEL_PATTERN.test(token)) return token.length <= 4 && token === token.toUpperCase();
+    // Stuttering letters or long consonant runs are OCR noise
+    if (/(.)\1\1/i.test(token)) return false;
+    return !/[^aeiouyàâäéèêëîïôöùûüÿœæ'’-]{6,}/i.test(lower);
+}
+
+function countGarbage(text) {
+    let count = 0;
+    for (const char of text) {
+        if (!EXPECTED_CHARACTER.test(char)) count++;
+    }
+    return count;
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
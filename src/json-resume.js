@@ -0,0 +1,390 @@
+/**
+ * JSON Resume — Import and export of the JSON Resume schema (jsonresume.org)
+ *
+ * Strategy:
+ *   1. Import: map basics / work / volunteer / education / projects /
+ *      skills / languages / certificates / interests onto the `cvData`
+ *      shape used by the AI prompt and generateAdaptedCVPDF(), with
+ *      ISO dates turned into the "period" strings of the other sources
+ *   2. The same data is rendered as CV text (Markdown headings), so the
+ *      AI adaptation and step 1 read it like any extracted CV
+ *   3. Export: map `cvData` back to schema v1.0.0. Periods are parsed
+ *      into ISO dates (left out when they cannot be read), and fields
+ *      `cvData` has no place for (profiles, address, meta...) are kept
+ *      from the imported resume when there is one
+ */
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+// Between a language and its level, a certificate and its issuer, in the CV text
+const SEPARATOR = ' — ';
+// Top-level keys of the schema; a JSON file with none of them is not a resume
+const RESUME_KEYS = ['basics', 'work', 'volunteer', 'education', 'awards', 'certificates', 'publications', 'skills', 'languages', 'interests', 'references', 'projects'];
+
+const MONTH_LABELS = ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.'];
+// Month names and abbreviations (French and English) → month number
+const MONTH_NAMES = [
+    ['jan', 'janv', 'janvier', 'january'],
+    ['fév', 'févr', 'février', 'feb', 'february', 'fev', 'fevr', 'fevrier'],
+    ['mar', 'mars', 'march'],
+    ['avr', 'avril', 'apr', 'april'],
+    ['mai', 'may'],
+    ['juin', 'jun', 'june'],
+    ['juil', 'juillet', 'jul', 'july'],
+    ['août', 'aout', 'aug', 'august'],
+    ['sep', 'sept', 'septembre', 'september'],
+    ['oct', 'octobre', 'october'],
+    ['nov', 'novembre', 'november'],
+    ['déc', 'décembre', 'dec', 'decembre', 'december'],
+];
+const PRESENT_LABEL = 'Présent';
+const PRESENT_PATTERN = /présent|present|aujourd'hui|actuel|current|now|en cours|ce jour|depuis|since/i;
+// "janv. 2020", "01/2020", "2020-01", "2020-01-15", "2020"
+const DATE_PATTERN = /(?:(\p{L}+)\.?\s+((?:19|20)\d{2}))|(?:(\d{1,2})[/.]((?:19|20)\d{2}))|(?:((?:19|20)\d{2})-(\d{2})(?:-(\d{2}))?)|((?:19|20)\d{2})/gu;
+
+// ============================================================
+// Import
+// ============================================================
+
+/**
+ * Parse a JSON Resume file.
+ *
+ * @param {string} json - file content
+ * @returns {Object} the resume object
+ * @throws {Error} with a user-facing message when the file is not a JSON Resume
+ */
+export function parseJSONResume(json) {
+    let resume;
+    try {
+        resume = JSON.parse(json);
+    } catch {
+        throw new Error('Fichier JSON invalide.');
+    }
+    if (!resume || typeof resume !== 'object' || Array.isArray(resume) || !RESUME_KEYS.some((key) => key in resume)) {
+        throw new Error('Ce fichier JSON ne suit pas le schéma JSON Resume (basics, work, education...).');
+    }
+    return resume;
+}
+
+/**
+ * Map a JSON Resume onto the `cvData` shape.
+ *
+ * @param {Object} resume - from parseJSONResume()
+ * @returns {{personalInfo: Object, summary: string, keySkills: string[], experience: Object[], education: Object[], projects: Object[], languages: string[], certifications: string[], interests: string[]}}
+ */
+export function jsonResumeToCVData(resume) {
+    const basics = resume.basics || {};
+    const profiles = list(basics.profiles);
+    const profileUrl = (network) => {
+        const profile = profiles.find((p) => new RegExp(network, 'i').test(`${p.network} ${p.url}`));
+        return profile ? profile.url || profile.username || '' : '';
+    };
+
+    const work = list(resume.work).map((job) => ({
+        title: text(job.position),
+        company: text(job.name || job.company),
+        period: formatPeriod(job.startDate, job.endDate),
+        description: text(job.summary || job.description),
+        bullets: list(job.highlights).map(text).filter(Boolean),
+    }));
+    const volunteer = list(resume.volunteer).map((job) => ({
+        title: text(job.position) || 'Bénévole',
+        company: text(job.organization),
+        period: formatPeriod(job.startDate, job.endDate),
+        description: text(job.summary),
+        bullets: list(job.highlights).map(text).filter(Boolean),
+    }));
+
+    return {
+        personalInfo: {
+            fullName: text(basics.name),
+            title: text(basics.label),
+            email: text(basics.email),
+            phone: text(basics.phone),
+            location: formatLocation(basics.location),
+            linkedin: profileUrl('linkedin'),
+            website: text(basics.url || basics.website),
+            github: profileUrl('github'),
+        },
+        summary: text(basics.summary),
+        // Skill groups keep their keywords: "Frontend : React, Vue.js"
+        keySkills: list(resume.skills).map((skill) => {
+            const keywords = list(skill.keywords).map(text).filter(Boolean).join(', ');
+            return [text(skill.name), keywords].filter(Boolean).join(' : ');
+        }).filter(Boolean),
+        experience: [...work, ...volunteer],
+        education: list(resume.education).map((edu) => ({
+            degree: [text(edu.studyType), text(edu.area)].filter(Boolean).join(' — '),
+            school: text(edu.institution),
+            period: formatPeriod(edu.startDate, edu.endDate),
+            description: [
+                text(edu.summary),
+                edu.score ? `Note : ${text(edu.score)}` : '',
+                list(edu.courses).length > 0 ? `Cours : ${list(edu.courses).map(text).join(', ')}` : '',
+            ].filter(Boolean).join('. '),
+        })),
+        projects: list(resume.projects).map((project) => ({
+            name: text(project.name),
+            description: [text(project.description), ...list(project.highlights).map(text)].filter(Boolean).join(' '),
+            link: text(project.url),
+        })),
+        languages: list(resume.languages)
+            .map((lang) => [text(lang.language), text(lang.fluency)].filter(Boolean).join(SEPARATOR))
+            .filter(Boolean),
+        certifications: list(resume.certificates).map((cert) => {
+            const year = text(cert.date).match(/\d{4}/)?.[0];
+            return [text(cert.name), text(cert.issuer)].filter(Boolean).join(SEPARATOR) + (year ? ` (${year})` : '');
+        }).filter(Boolean),
+        interests: list(resume.interests).map((interest) => text(interest.name)).filter(Boolean),
+    };
+}
+
+/**
+ * Render `cvData` as CV text, with the Markdown headings the segmenter
+ * and the quality report read
+ *
+ * @param {Object} cv - `cvData` shape
+ * @returns {string}
+ */
+export function cvDataToText(cv) {
+    const pi = cv.personalInfo || {};
+    const out = [];
+    const section = (title, lines) => {
+        if (lines.length > 0) out.push('', `## ${title}`, ...lines);
+    };
+
+    if (pi.fullName) out.push(`# ${pi.fullName}`);
+    if (pi.title) out.push(pi.title);
+    out.push(...[pi.email, pi.phone, pi.location, pi.linkedin, pi.github, pi.website].filter(Boolean));
+
+    section('Profil', cv.summary ? [cv.summary] : []);
+    section('Expérience', list(cv.experience).flatMap((exp) => [
+        '',
+        `### ${[exp.title, exp.company].filter(Boolean).join(' — ')}`,
+        ...[exp.period, exp.description].filter(Boolean),
+        ...list(exp.bullets).map((bullet) => `- ${bullet}`),
+    ]));
+    section('Formation', list(cv.education).flatMap((edu) => [
+        '',
+        `### ${[edu.degree, edu.school].filter(Boolean).join(' — ')}`,
+        ...[edu.period, edu.description].filter(Boolean),
+    ]));
+    section('Compétences', list(cv.keySkills).map((skill) => `- ${skill}`));
+    section('Projets', list(cv.projects).map((project) => `- ${[project.name, project.description, project.link].filter(Boolean).join(' — ')}`));
+    section('Langues', list(cv.languages).map((lang) => `- ${lang}`));
+    section('Certifications', list(cv.certifications).map((cert) => `- ${cert}`));
+    section('Centres d\'intérêt', list(cv.interests).map((interest) => `- ${interest}`));
+
+    return out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+/**
+ * Map `cvData` (typically the adapted CV) to a JSON Resume v1.0.0 object.
+ *
+ * @param {Object} cv - `cvData` shape
+ * @param {Object|null} [base] - the imported resume, whose extra fields are kept
+ * @returns {Object}
+ */
+export function cvDataToJSONResume(cv, base = null) {
+    const pi = cv.personalInfo || {};
+    const baseBasics = base?.basics || {};
+
+    // Profiles: LinkedIn / GitHub from the CV, the others from the imported resume
+    const profiles = list(baseBasics.profiles).filter((p) => !/linkedin|github/i.test(`${p.network} ${p.url}`));
+    if (pi.linkedin) profiles.unshift(toProfile('LinkedIn', pi.linkedin));
+    if (pi.github) profiles.push(toProfile('GitHub', pi.github));
+
+    const location = pi.location && pi.location !== formatLocation(baseBasics.location)
+        ? { address: pi.location }
+        : baseBasics.location;
+
+    const resume = {
+        $schema: SCHEMA_URL,
+        basics: compact({
+            ...baseBasics,
+            name: pi.fullName,
+            label: pi.title,
+            email: pi.email,
+            phone: pi.phone,
+            url: toURL(pi.website),
+            summary: cv.summary,
+            location,
+            profiles,
+        }),
+        work: list(cv.experience).map((exp) => compact({
+            name: exp.company,
+            position: exp.title,
+            ...parsePeriod(exp.period),
+            summary: exp.description,
+            highlights: list(exp.bullets),
+        })),
+        education: list(cv.education).map((edu) => {
+            const [studyType, area] = text(edu.degree).split(' — ');
+            return compact({
+                institution: edu.school,
+                studyType,
+                area,
+                ...parsePeriod(edu.period),
+                summary: edu.description,
+            });
+        }),
+        projects: list(cv.projects).map((project) => compact({
+            name: project.name,
+            description: project.description,
+            url: toURL(project.link),
+        })),
+        skills: list(cv.keySkills).map((skill) => {
+            const grouped = text(skill).match(/^(.+?)\s*:\s*(.+)$/);
+            return grouped
+                ? { name: grouped[1], keywords: grouped[2].split(/\s*,\s*/) }
+                : { name: text(skill) };
+        }),
+        languages: list(cv.languages).map((lang) => {
+            // "Anglais — Courant", or written by hand "Anglais (C1)", "Anglais - Courant"
+            const value = text(lang);
+            const level = value.includes(SEPARATOR)
+                ? null
+                : value.match(/^(.+?)\s*\(([^)]*)\)$/) || value.match(/^(.+)\s+[-–:]\s+(.+)$/);
+            const [language, fluency] = level ? level.slice(1) : splitLast(value, SEPARATOR);
+            return compact({ language, fluency });
+        }),
+        certificates: list(cv.certifications).map((cert) => {
+            const [, label, date] = text(cert).match(/^(.*?)(?:\s*\(((?:19|20)\d{2})\))?$/);
+            const [name, issuer] = splitLast(label, SEPARATOR);
+            return compact({ name, issuer, date });
+        }),
+        interests: list(cv.interests).map((name) => ({ name: text(name) })),
+        meta: { ...base?.meta, version: 'v1.0.0', lastModified: new Date().toISOString() },
+    };
+
+    // Sections `cvData` does not cover stay as imported
+    for (const key of ['volunteer', 'awards', 'publications', 'references']) {
+        if (list(base?.[key]).length > 0) resume[key] = base[key];
+    }
+    // Volunteering was imported as experience: do not list it twice
+    if (resume.volunteer) {
+        const organizations = new Set(resume.volunteer.map((job) => job.organization));
+        resume.work = resume.work.filter((job) => !organizations.has(job.name));
+    }
+
+    return resume;
+}
+
+// ============================================================
+// Dates
+// ============================================================
+
+/**
+ * "janv. 2020 – Présent" from ISO 8601 dates (YYYY, YYYY-MM or YYYY-MM-DD)
+ */
+function formatPeriod(startDate, endDate) {
+    const start = formatDate(startDate);
+    const end = formatDate(endDate);
+    if (!start) return end;
+    return `${start} – ${end || PRESENT_LABEL}`;
+}
+
+function formatDate(date) {
+    const match = text(date).match(/^(\d{4})(?:-(\d{2}))?/);
+    if (!match) return '';
+    const month = parseInt(match[2], 10);
+    return month >= 1 && month <= 12 ? `${MONTH_LABELS[month - 1]} ${match[1]}` : match[1];
+}
+
+/**
+ * ISO start / end dates read from a period string; an ongoing period has
+ * no end date. Unreadable periods give no dates.
+ */
+function parsePeriod(period) {
+    const dates = [...text(period).matchAll(DATE_PATTERN)].map(toISODate).filter(Boolean);
+    if (dates.length === 0) return {};
+
+    const ongoing = dates.length === 1 && PRESENT_PATTERN.test(period);
+    if (dates.length === 1 && !ongoing) return { startDate: dates[0], endDate: dates[0] };
+    return compact({ startDate: dates[0], endDate: dates[1] });
+}
+
+/**
+ * ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD) of the first date found in
+ * a free-form string ("Jan 2020", "03/2019", "2018"), '' if there is none
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function parseDate(value) {
+    const match = [...text(value).matchAll(DATE_PATTERN)][0];
+    return match ? toISODate(match) : '';
+}
+
+function toISODate(match) {
+    const [, monthName, namedYear, monthNumber, numberedYear, isoYear, isoMonth, isoDay, year] = match;
+    if (monthName) {
+        const name = monthName.toLowerCase();
+        const month = MONTH_NAMES.findIndex((names) => names.includes(name));
+        return month >= 0 ? `${namedYear}-${String(month + 1).padStart(2, '0')}` : namedYear;
+    }
+    if (monthNumber) {
+        const month = parseInt(monthNumber, 10);
+        return month >= 1 && month <= 12 ? `${numberedYear}-${String(month).padStart(2, '0')}` : numberedYear;
+    }
+    if (isoYear) return [isoYear, isoMonth, isoDay].filter(Boolean).join('-');
+    return year;
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+function list(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+function text(value) {
+    return typeof value === 'string' ? value.trim() : typeof value === 'number' ? String(value) : '';
+}
+
+/**
+ * Split at the last separator: names may hold dashes ("AWS - SAA — Amazon")
+ */
+function splitLast(value, separator) {
+    const index = value.lastIndexOf(separator);
+    return index < 0 ? [value, ''] : [value.slice(0, index), value.slice(index + separator.length)];
+}
+
+function formatLocation(location) {
+    if (!location) return '';
+    if (typeof location === 'string') return location.trim();
+    return [location.address, [location.postalCode, location.city].filter(Boolean).join(' '), location.region, location.countryCode]
+        .map(text)
+        .filter(Boolean)
+        .join(', ');
+}
+
+function toProfile(network, value) {
+    const url = toURL(value);
+    const username = url.replace(/\/+$/, '').split('/').pop();
+    return compact({ network, username, url });
+}
+
+/**
+ * The schema types URLs as "uri": add the scheme the CV text often omits
+ */
+function toURL(value) {
+    const url = text(value);
+    if (!url || /^[a-z][a-z\d+.-]*:/i.test(url)) return url;
+    return `https://${url}`;
+}
+
+/**
+ * Drop empty strings and empty arrays (the schema rejects "" dates and URLs)
+ *
+ * @param {Object} object
+ * @returns {Object}
+ */
+export function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+        value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+    ));
+}
@@ -0,0 +1,200 @@
+/**
+ * LinkedIn Import — Reads the "Get a copy of your data" archive locally
+ *
+ * Strategy:
+ *   1. Unzip the archive with JSZip and parse the CSV files the CV needs
+ *      (Profile, Positions, Education, Skills, Languages, Certifications,
+ *      Projects, Volunteering, email addresses and phone numbers); the
+ *      rest of the archive (messages, connections...) is never read
+ *   2. Map them to a JSON Resume object, so the CV data and its text
+ *      come from the same mapping as a resume.json upload
+ *      (see jsonResumeToCVData and cvDataToText)
+ *
+ * Nothing leaves the browser: the archive holds private data.
+ */
+import JSZip from 'jszip';
+import { compact, parseDate } from './json-resume.js';
+
+// LinkedIn's proficiency levels (English interface) → CV wording
+const PROFICIENCY_LABELS = {
+    'native or bilingual proficiency': 'Natif ou bilingue',
+    'full professional proficiency': 'Courant',
+    'professional working proficiency': 'Professionnel',
+    'limited working proficiency': 'Intermédiaire',
+    'elementary proficiency': 'Notions',
+};
+
+const BULLET_PATTERN = /^\s*(?:[•·▪◦●■►▶➢➤✓✔○*-]|\d+[.)])\s+/;
+
+/**
+ * Read a LinkedIn data archive.
+ *
+ * @param {File} file - the .zip downloaded from LinkedIn
+ * @returns {Promise<Object>} a JSON Resume object
+ * @throws {Error} with a user-facing message when the file is not a LinkedIn archive
+ */
+export async function readLinkedInArchive(file) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(await file.arrayBuffer());
+    } catch {
+        throw new Error('Archive ZIP illisible.');
+    }
+
+    // Files sit at the root or in one folder, depending on the export
+    const entries = new Map();
+    zip.forEach((path, entry) => {
+        if (!entry.dir) entries.set(path.split('/').pop().toLowerCase(), entry);
+    });
+    const readCSV = async (name) => {
+        const entry = entries.get(name.toLowerCase());
+        return entry ? parseCSV(await entry.async('string')) : [];
+    };
+
+    const [profile] = await readCSV('Profile.csv');
+    const positions = await readCSV('Positions.csv');
+    if (!profile && positions.length === 0) {
+        throw new Error('Archive LinkedIn non reconnue : Profile.csv et Positions.csv introuvables.');
+    }
+
+    const emails = await readCSV('Email Addresses.csv');
+    const phones = await readCSV('PhoneNumbers.csv');
+    const email = emails.find((row) => /^yes$/i.test(row['Primary'])) || emails[0];
+
+    return {
+        basics: compact({
+            name: [profile?.['First Name'], profile?.['Last Name']].filter(Boolean).join(' '),
+            label: profile?.['Headline'],
+            email: email?.['Email Address'],
+            phone: phones.find((row) => row['Number'])?.['Number'],
+            url: splitList(profile?.['Websites'])[0],
+            summary: profile?.['Summary'],
+            location: profile?.['Geo Location'] ? { address: profile['Geo Location'] } : undefined,
+            profiles: splitList(profile?.['Twitter Handles']).map((handle) => ({
+                network: 'Twitter',
+                username: handle.replace(/^@/, ''),
+            })),
+        }),
+        work: positions.map((position) => compact({
+            name: position['Company Name'],
+            position: position['Title'],
+            location: position['Location'],
+            startDate: parseDate(position['Started On']),
+            endDate: parseDate(position['Finished On']),
+            ...splitDescription(position['Description']),
+        })),
+        volunteer: (await readCSV('Volunteering.csv')).map((role) => compact({
+            organization: role['Company Name'],
+            position: role['Role'],
+            startDate: parseDate(role['Started On']),
+            endDate: parseDate(role['Finished On']),
+            ...splitDescription(role['Description']),
+        })),
+        education: (await readCSV('Education.csv')).map((school) => compact({
+            institution: school['School Name'],
+            studyType: school['Degree Name'],
+            startDate: parseDate(school['Start Date']),
+            endDate: parseDate(school['End Date']),
+            summary: [school['Notes'], school['Activities']].filter(Boolean).join('\n'),
+        })),
+        skills: (await readCSV('Skills.csv')).filter((row) => row['Name']).map((row) => ({ name: row['Name'] })),
+        languages: (await readCSV('Languages.csv')).filter((row) => row['Name']).map((row) => compact({
+            language: row['Name'],
+            fluency: PROFICIENCY_LABELS[(row['Proficiency'] || '').toLowerCase()] || row['Proficiency'],
+        })),
+        certificates: (await readCSV('Certifications.csv')).filter((row) => row['Name']).map((row) => compact({
+            name: row['Name'],
+            issuer: row['Authority'],
+            date: parseDate(row['Started On']),
+            url: row['Url'],
+        })),
+        projects: (await readCSV('Projects.csv')).filter((row) => row['Title']).map((row) => compact({
+            name: row['Title'],
+            description: row['Description'],
+            url: row['Url'],
+            startDate: parseDate(row['Started On']),
+            endDate: parseDate(row['Finished On']),
+        })),
+    };
+}
+
+// ============================================================
+// CSV
+// ============================================================
+
+/**
+ * Parse RFC 4180 CSV (quoted fields may hold commas, quotes and line
+ * breaks) into one object per row, keyed by the header line
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...body] = rows;
+    const keys = header.map((key) => key.trim());
+    return body
+        .filter((cells) => cells.some((cell) => cell.trim()))
+        .map((cells) => Object.fromEntries(keys.map((key, idx) => [key, (cells[idx] || '').trim()])));
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/**
+ * Position descriptions often list achievements one per line: bullet
+ * lines become highlights, the other lines the summary
+ */
+function splitDescription(description) {
+    const lines = (description || '').split(/\n+/).map((line) => line.trim()).filter(Boolean);
+    const bullets = lines.filter((line) => BULLET_PATTERN.test(line));
+    return {
+        summary: lines.filter((line) => !BULLET_PATTERN.test(line)).join(' '),
+        highlights: bullets.map((line) => line.replace(BULLET_PATTERN, '')),
+    };
+}
+
+/**
+ * Profile lists such as Websites: "[PERSONAL:https://a.dev,COMPANY:b.com]"
+ */
+function splitList(value) {
+    return (value || '')
+        .replace(/^\[|\]$/g, '')
+        .split(',')
+        .map((item) => item.trim().replace(/^[A-Z_]+:(?!\/\/)/, ''))
+        .filter(Boolean);
+}
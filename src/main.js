@@ -4,7 +4,26 @@
  * particles, confetti, and micro-animations
  */
 import './style.css';
-import { extractTextFromPDF, renderPDFPagesToImages } from './pdf-parser.js';
+import {
+  extractTextFromPDF,
+  extractTextFromImages,
+  openPDFSession,
+  PDFOpenError,
+  recognizePDFRegion,
+  spliceRegionText,
+  findProfilePhotoCandidates,
+  LOW_CONFIDENCE,
+  OCR_LANGUAGES,
+} from './pdf-parser.js';
+import { extractTextFromDOCX } from './docx-parser.js';
+import { extractTextFromODT } from './odt-parser.js';
+import { extractTextFromPlainText, extractTextFromMarkdown, extractTextFromHTML } from './text-parser.js';
+import { parseJSONResume, jsonResumeToCVData, cvDataToText, cvDataToJSONResume } from './json-resume.js';
+import { readLinkedInArchive } from './linkedin-import.js';
+import { createPDFPreview, renderPageToFit, renderRegionToFit } from './pdf-preview.js';
+import { OCR_PRESETS, DEFAULT_OCR_PRESET } from './ocr-preprocess.js';
+import { segmentCV, reconcileWithDraft, detectCandidateName } from './cv-segmenter.js';
+import { assessExtraction } from './extraction-quality.js';
 import {
   getSettings,
   saveSettings,
@@ -17,6 +36,14 @@ import {
   generateCoverLetterPDF,
   downloadPDF,
 } from './pdf-generator.js';
+import {
+  hashUpload,
+  getCachedExtraction,
+  saveCachedExtraction,
+  listCachedExtractions,
+  deleteCachedExtraction,
+  clearExtractionCache,
+} from './extraction-cache.js';
 import { showToast } from './toast.js';
 
 // ============================================================
@@ -24,7 +51,24 @@ import { showToast } from './toast.js';
 // ============================================================
 const state = {
   uploadedFile: null,
+  fileKind: null,
+  // Parsed PDF shared by preview, photo detection and extraction (see openPDFSession)
+  pdfSession: null,
   extractedText: '',
+  extractedLines: [],
+  extractedLinks: [],
+  // Per-page method, column layout and text length of the last extraction
+  extractedPages: [],
+  ocrConfidence: null,
+  cvDraft: null,
+  // JSON Resume upload: the resume as imported and its `cvData` mapping
+  // (used as the draft instead of segmenting the text)
+  importedResume: null,
+  importedCV: null,
+  ocrPreset: DEFAULT_OCR_PRESET,
+  // Preset the last extraction ran OCR with (null: text layer only)
+  extractedOCRPreset: null,
+  ocrReview: null,
   numPages: 0,
   isImageBased: false,
   currentStep: 1,
@@ -48,24 +92,45 @@ const stepContents = { 1: $('#step1'), 2: $('#step2'), 3: $('#step3') };
 const dropZone = $('#dropZone');
 const fileInput = $('#fileInput');
 const filePreview = $('#filePreview');
+const fileIcon = $('#fileIcon');
 const fileName = $('#fileName');
 const fileSize = $('#fileSize');
 const pdfPreviewContainer = $('#pdfPreviewContainer');
 const pdfPreviewPages = $('#pdfPreviewPages');
+const ocrPresetBar = $('#ocrPresetBar');
+const ocrPresetSelect = $('#ocrPreset');
+const rerunOCRBtn = $('#rerunOCR');
+const forceExtractionBtn = $('#forceExtraction');
 const togglePreviewBtn = $('#togglePreview');
+const previewNav = $('#previewNav');
+const previewPrevBtn = $('#previewPrev');
+const previewNextBtn = $('#previewNext');
+const previewPageLabel = $('#previewPageLabel');
+const previewZoomOutBtn = $('#previewZoomOut');
+const previewZoomInBtn = $('#previewZoomIn');
+const previewZoomLabel = $('#previewZoomLabel');
+const regionSelectBtn = $('#previewRegionSelect');
 const extractedTextContainer = $('#extractedTextContainer');
 const extractedTextEl = $('#extractedText');
 const charCount = $('#charCount');
+const cancelExtractionBtn = $('#cancelExtraction');
+const ocrWordTooltip = $('#ocrWordTooltip');
 const manualInputContainer = $('#manualInputContainer');
 const manualCVText = $('#manualCVText');
 const manualCharCount = $('#manualCharCount');
 const removeFileBtn = $('#removeFile');
 const nextStep1Btn = $('#nextStep1');
+const analysisStatus = $('#analysisStatus');
+const cvStructure = $('#cvStructure');
+const qualityReport = $('#qualityReport');
+const analysisPlaceholder = $('#analysisPlaceholder');
 
 // Step 2
 const profilePhotoSection = $('#profilePhotoSection');
 const profilePhotoInput = $('#profilePhotoInput');
 const profilePhotoPreview = $('#profilePhotoPreview');
+const photoSuggestions = $('#photoSuggestions');
+const photoSuggestionList = $('#photoSuggestionList');
 const removeProfilePhotoBtn = $('#removeProfilePhoto');
 const jobTitleInput = $('#jobTitle');
 const companyNameInput = $('#companyName');
@@ -87,10 +152,12 @@ const resultsState = $('#resultsState');
 const newAdaptation = $('#newAdaptation');
 const loadingTitle = $('#loadingTitle');
 const loadingProgressBar = $('#loadingProgressBar');
+const cancelGenerateBtn = $('#cancelGenerate');
 const adaptedCVPreview = $('#adaptedCVPreview');
 const coverLetterPreview = $('#coverLetterPreview');
 const downloadCVBtn = $('#downloadCV');
 const downloadCoverLetterBtn = $('#downloadCoverLetter');
+const exportJSONResumeBtn = $('#exportJSONResume');
 const startOverBtn = $('#startOverBtn');
 
 // Loading steps
@@ -106,12 +173,43 @@ const aiProviderSelect = $('#aiProvider');
 const apiKeyInput = $('#apiKey');
 const toggleApiKeyBtn = $('#toggleApiKey');
 const languageSelect = $('#language');
+const ocrLanguagesGroup = $('#ocrLanguages');
+const extractionCacheList = $('#extractionCacheList');
+const extractionCacheSummary = $('#extractionCacheSummary');
+const clearExtractionCacheBtn = $('#clearExtractionCache');
 const saveSettingsBtn = $('#saveSettings');
 const helpLinkGroq = $('#helpLinkGroq');
 const helpLinkGemini = $('#helpLinkGemini');
 const helpLinkMistral = $('#helpLinkMistral');
 const footerProvider = $('#footerProvider');
 
+// Enlarged page viewer
+const pageViewerModal = $('#pageViewerModal');
+const pageViewerContent = $('#pageViewerContent');
+const pageViewerTitle = $('#pageViewerTitle');
+const pageViewerPrevBtn = $('#pageViewerPrev');
+const pageViewerNextBtn = $('#pageViewerNext');
+const closePageViewerBtn = $('#closePageViewer');
+
+// Region re-OCR modal
+const regionOCRModal = $('#regionOCRModal');
+const regionOCRTitle = $('#regionOCRTitle');
+const regionOCRPreview = $('#regionOCRPreview');
+const regionOCRPresetSelect = $('#regionOCRPreset');
+const runRegionOCRBtn = $('#runRegionOCR');
+const regionOCRStatus = $('#regionOCRStatus');
+const regionOCRText = $('#regionOCRText');
+const applyRegionOCRBtn = $('#applyRegionOCR');
+const cancelRegionOCRBtn = $('#cancelRegionOCR');
+const closeRegionOCRBtn = $('#closeRegionOCR');
+
+// PDF password modal
+const pdfPasswordModal = $('#pdfPasswordModal');
+const pdfPasswordForm = $('#pdfPasswordForm');
+const pdfPasswordInput = $('#pdfPassword');
+const pdfPasswordError = $('#pdfPasswordError');
+const cancelPdfPasswordBtn = $('#cancelPdfPassword');
+
 // Steps indicator
 const stepIndicators = $$('.steps-indicator .step');
 const stepLines = $$('.steps-indicator .step-line');
@@ -132,9 +230,58 @@ function loadSettings() {
   aiProviderSelect.value = settings.provider;
   apiKeyInput.value = settings.apiKey;
   languageSelect.value = settings.language;
+  renderOCRLanguageOptions(settings.ocrLanguages);
   updateHelpLinks(settings.provider);
 }
 
+/**
+ * One checkbox per OCR language, checked for the saved ones
+ */
+function renderOCRLanguageOptions(selected) {
+  ocrLanguagesGroup.innerHTML = Object.entries(OCR_LANGUAGES)
+    .map(([code, label]) => `
+      <label class="flex items-center gap-2 rounded-lg bg-gray-50 px-3 py-2 text-sm ring-1 ring-inset ring-gray-200 cursor-pointer">
+        <input type="checkbox" value="${code}" ${selected.includes(code) ? 'checked' : ''}
+          class="form-checkbox rounded text-primary focus:ring-primary" />
+        <span>${esc(label)}</span>
+      </label>`)
+    .join('');
+}
+
+function getSelectedOCRLanguages() {
+  return [...ocrLanguagesGroup.querySelectorAll('input:checked')].map((input) => input.value);
+}
+
+function openSettings() {
+  settingsModal.classList.remove('hidden');
+  renderExtractionCache();
+}
+
+/**
+ * Storage management: the CVs kept in the extraction cache
+ */
+async function renderExtractionCache() {
+  const entries = await listCachedExtractions();
+  extractionCacheList.innerHTML = entries
+    .map((entry) => `
+      <li class="flex items-center gap-2 rounded-lg bg-gray-50 px-3 py-1.5 text-xs ring-1 ring-inset ring-gray-200">
+        <span class="material-symbols-outlined text-sm text-gray-400">${FILE_ICONS[entry.kind]?.icon || 'description'}</span>
+        <span class="min-w-0 flex-1 truncate" title="${esc(entry.name)}">${esc(entry.name)}</span>
+        <span class="shrink-0 text-[11px] text-gray-400">${esc(METHOD_LABELS[entry.method] || entry.method)} • ${formatFileSize(entry.bytes)} • ${new Date(entry.lastUsedAt).toLocaleDateString('fr-FR')}</span>
+        <button type="button" data-hash="${entry.hash}" title="Retirer du cache"
+          class="shrink-0 flex items-center text-gray-400 hover:text-red-500 transition-colors">
+          <span class="material-symbols-outlined text-sm">delete</span>
+        </button>
+      </li>`)
+    .join('');
+
+  const total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  extractionCacheSummary.textContent = entries.length > 0
+    ? `${entries.length} CV • ${formatFileSize(total)} — repris tels quels si le même fichier est réimporté.`
+    : 'Aucun CV en cache. Les extractions sont gardées dans ce navigateur pour éviter de refaire l\'OCR au réimport.';
+  clearExtractionCacheBtn.disabled = entries.length === 0;
+}
+
 function updateFooterProvider() {
   footerProvider.textContent = getProviderDisplayName();
 }
@@ -252,7 +399,7 @@ function setupEventListeners() {
   dropZone.addEventListener('drop', (e) => {
     e.preventDefault();
     dropZone.classList.remove('drag-over');
-    if (e.dataTransfer.files.length > 0) handleFileUpload(e.dataTransfer.files[0]);
+    if (e.dataTransfer.files.length > 0) handleFileUpload([...e.dataTransfer.files]);
   });
 
   dropZone.addEventListener('click', (e) => {
@@ -271,7 +418,7 @@ function setupEventListeners() {
     fileInput.value = '';
   });
   fileInput.addEventListener('change', (e) => {
-    if (e.target.files.length > 0) handleFileUpload(e.target.files[0]);
+    if (e.target.files.length > 0) handleFileUpload([...e.target.files]);
   });
 
   removeFileBtn.addEventListener('click', (e) => {
@@ -284,6 +431,76 @@ function setupEventListeners() {
     pdfPreviewPages.classList.toggle('collapsed');
   });
 
+  previewPrevBtn.addEventListener('click', () => pdfPreview?.goToPage(previewState.page - 1));
+  previewNextBtn.addEventListener('click', () => pdfPreview?.goToPage(previewState.page + 1));
+  previewZoomOutBtn.addEventListener('click', () => pdfPreview?.zoomOut());
+  previewZoomInBtn.addEventListener('click', () => pdfPreview?.zoomIn());
+  regionSelectBtn.addEventListener('click', () => {
+    setRegionSelection(!regionSelectBtn.classList.contains('active'));
+  });
+
+  // --- Enlarged page viewer ---
+  pageViewerPrevBtn.addEventListener('click', () => showViewerPage(viewerPage - 1));
+  pageViewerNextBtn.addEventListener('click', () => showViewerPage(viewerPage + 1));
+  closePageViewerBtn.addEventListener('click', closePageViewer);
+  pageViewerModal.addEventListener('click', (e) => {
+    if (e.target === pageViewerModal) closePageViewer();
+  });
+
+  // --- OCR preprocessing preset ---
+  ocrPresetSelect.innerHTML = Object.entries(OCR_PRESETS)
+    .map(([key, preset]) => `<option value="${key}" title="${esc(preset.description)}">${esc(preset.label)}</option>`)
+    .join('');
+  ocrPresetSelect.value = state.ocrPreset;
+
+  ocrPresetSelect.addEventListener('change', () => {
+    state.ocrPreset = ocrPresetSelect.value;
+  });
+
+  // --- Region re-OCR ---
+  regionOCRPresetSelect.innerHTML = ocrPresetSelect.innerHTML;
+  runRegionOCRBtn.addEventListener('click', runRegionOCR);
+  applyRegionOCRBtn.addEventListener('click', applyRegionOCR);
+  cancelRegionOCRBtn.addEventListener('click', closeRegionOCR);
+  closeRegionOCRBtn.addEventListener('click', closeRegionOCR);
+  regionOCRModal.addEventListener('click', (e) => {
+    if (e.target === regionOCRModal) closeRegionOCR();
+  });
+  regionOCRText.addEventListener('input', () => {
+    applyRegionOCRBtn.disabled = !regionOCR?.result || !regionOCRText.value.trim();
+  });
+
+  cancelExtractionBtn.addEventListener('click', () => extractionController?.abort());
+
+  rerunOCRBtn.addEventListener('click', () => {
+    if (state.uploadedFile) runExtraction(state.uploadedFile, state.fileKind, { force: true });
+  });
+
+  forceExtractionBtn.addEventListener('click', () => {
+    if (state.uploadedFile) runExtraction(state.uploadedFile, state.fileKind, { force: true });
+  });
+
+  // --- Extracted text review ---
+  extractedTextEl.addEventListener('input', () => {
+    state.extractedText = extractedTextEl.innerText.trim();
+    nextStep1Btn.disabled = state.extractedText.length < 50;
+    // Edits to an imported JSON Resume / LinkedIn CV win over its structure:
+    // the draft is segmented from the text from now on
+    state.importedCV = null;
+    updateCVDraft();
+  });
+
+  extractedTextEl.addEventListener('mouseover', (e) => {
+    const mark = e.target.closest('mark.ocr-low');
+    if (mark) showOCRWordTooltip(mark);
+  });
+
+  extractedTextEl.addEventListener('mouseout', (e) => {
+    if (e.target.closest('mark.ocr-low')) hideOCRWordTooltip();
+  });
+
+  extractedTextEl.addEventListener('scroll', hideOCRWordTooltip);
+
   // --- Profile Photo ---
   profilePhotoSection.addEventListener('click', () => profilePhotoInput.click());
 
@@ -308,6 +525,8 @@ function setupEventListeners() {
   nextStep1Btn.addEventListener('click', () => {
     if (state.isImageBased && manualCVText.value.trim()) {
       state.extractedText = manualCVText.value.trim();
+      state.extractedLines = [];
+      updateCVDraft();
     }
     goToStep(2);
   });
@@ -369,13 +588,15 @@ function setupEventListeners() {
 
   // --- Generate ---
   generateBtn.addEventListener('click', handleGenerate);
+  cancelGenerateBtn.addEventListener('click', () => generationController?.abort());
 
   // --- Downloads ---
   downloadCVBtn.addEventListener('click', handleDownloadCV);
   downloadCoverLetterBtn.addEventListener('click', handleDownloadCoverLetter);
+  exportJSONResumeBtn.addEventListener('click', handleExportJSONResume);
 
   // --- Settings ---
-  settingsBtn.addEventListener('click', () => settingsModal.classList.remove('hidden'));
+  settingsBtn.addEventListener('click', openSettings);
   closeSettingsBtn.addEventListener('click', () => settingsModal.classList.add('hidden'));
   settingsModal.addEventListener('click', (e) => {
     if (e.target === settingsModal) settingsModal.classList.add('hidden');
@@ -383,20 +604,63 @@ function setupEventListeners() {
 
   aiProviderSelect.addEventListener('change', () => updateHelpLinks(aiProviderSelect.value));
 
+  extractionCacheList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-hash]');
+    if (!button) return;
+    try {
+      await deleteCachedExtraction(button.dataset.hash);
+    } catch (err) {
+      console.error('Extraction cache error:', err);
+      showToast('Impossible de retirer ce CV du cache.', 'error');
+    }
+    renderExtractionCache();
+  });
+
+  clearExtractionCacheBtn.addEventListener('click', async () => {
+    try {
+      await clearExtractionCache();
+      showToast('Cache des extractions vidé.', 'success');
+    } catch (err) {
+      console.error('Extraction cache error:', err);
+      showToast('Impossible de vider le cache.', 'error');
+    }
+    renderExtractionCache();
+  });
+
   toggleApiKeyBtn.addEventListener('click', () => {
     apiKeyInput.type = apiKeyInput.type === 'password' ? 'text' : 'password';
   });
 
   saveSettingsBtn.addEventListener('click', () => {
-    saveSettings(aiProviderSelect.value, apiKeyInput.value, languageSelect.value);
+    const ocrLanguages = getSelectedOCRLanguages();
+    if (ocrLanguages.length === 0) {
+      showToast('Sélectionnez au moins une langue OCR.', 'error');
+      return;
+    }
+    saveSettings(aiProviderSelect.value, apiKeyInput.value, languageSelect.value, ocrLanguages);
     updateFooterProvider();
     settingsModal.classList.add('hidden');
     showToast('Paramètres sauvegardés !', 'success');
   });
 
+  // --- PDF password ---
+  pdfPasswordForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    closePDFPasswordModal(pdfPasswordInput.value);
+  });
+  cancelPdfPasswordBtn.addEventListener('click', () => closePDFPasswordModal(null));
+  pdfPasswordModal.addEventListener('click', (e) => {
+    if (e.target === pdfPasswordModal) closePDFPasswordModal(null);
+  });
+
   // --- Keyboard ---
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') settingsModal.classList.add('hidden');
+    if (e.key === 'Escape') {
+      settingsModal.classList.add('hidden');
+      closePageViewer();
+      closeRegionOCR();
+      if (!pdfPasswordModal.classList.contains('hidden')) closePDFPasswordModal(null);
+    }
   });
 }
 
@@ -414,16 +678,49 @@ function handleProfilePhotoUpload(file) {
   }
 
   const reader = new FileReader();
-  reader.onload = (e) => {
-    state.profilePhotoDataURL = e.target.result;
-    profilePhotoPreview.innerHTML = `<img src="${e.target.result}" alt="Photo de profil" />`;
-    profilePhotoPreview.classList.add('has-photo');
-    removeProfilePhotoBtn.classList.remove('hidden');
-    showToast('Photo ajoutée ! Elle sera intégrée au CV.', 'success');
-  };
+  reader.onload = (e) => setProfilePhoto(e.target.result);
   reader.readAsDataURL(file);
 }
 
+function setProfilePhoto(dataURL) {
+  state.profilePhotoDataURL = dataURL;
+  profilePhotoPreview.innerHTML = `<img src="${dataURL}" alt="Photo de profil" />`;
+  profilePhotoPreview.classList.add('has-photo');
+  removeProfilePhotoBtn.classList.remove('hidden');
+  showToast('Photo ajoutée ! Elle sera intégrée au CV.', 'success');
+}
+
+/**
+ * Offer the photos embedded in the uploaded PDF as one-click choices
+ */
+async function offerEmbeddedPhotos(session) {
+  try {
+    const photos = await findProfilePhotoCandidates(session);
+    if (state.pdfSession !== session) return;
+
+    photoSuggestionList.innerHTML = '';
+    for (const dataURL of photos) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'size-12 shrink-0 overflow-hidden rounded-full ring-2 ring-white shadow hover:ring-primary transition';
+      btn.innerHTML = `<img src="${dataURL}" alt="Photo détectée" class="w-full h-full object-cover" />`;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setProfilePhoto(dataURL);
+      });
+      photoSuggestionList.appendChild(btn);
+    }
+    photoSuggestions.classList.toggle('hidden', photos.length === 0);
+  } catch (err) {
+    console.error('Photo detection error:', err);
+  }
+}
+
+function clearPhotoSuggestions() {
+  photoSuggestionList.innerHTML = '';
+  photoSuggestions.classList.add('hidden');
+}
+
 function removeProfilePhoto() {
   state.profilePhotoDataURL = null;
   profilePhotoPreview.innerHTML = '';
@@ -442,69 +739,323 @@ function removeProfilePhoto() {
 // ============================================================
 // File Handling
 // ============================================================
-async function handleFileUpload(file) {
-  if (file.type !== 'application/pdf') {
-    showToast('Veuillez sélectionner un fichier PDF.', 'error');
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const ODT_MIME = 'application/vnd.oasis.opendocument.text';
+
+/**
+ * Detect the supported document type from MIME type or extension
+ * (some browsers report an empty type for .docx / .odt / .md files)
+ */
+function getFileKind(file) {
+  const name = file.name.toLowerCase();
+  if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+  if (file.type === DOCX_MIME || name.endsWith('.docx')) return 'docx';
+  if (file.type === ODT_MIME || name.endsWith('.odt')) return 'odt';
+  if (IMAGE_MIMES.includes(file.type) || /\.(jpe?g|png|webp)$/.test(name)) return 'image';
+  if (name.endsWith('.json') || file.type === 'application/json') return 'json';
+  // The only archive accepted: LinkedIn's data export
+  if (name.endsWith('.zip') || ZIP_MIMES.includes(file.type)) return 'linkedin';
+  // Extensions first: Markdown files are often reported as text/plain
+  if (/\.(md|markdown)$/.test(name) || file.type === 'text/markdown') return 'markdown';
+  if (/\.html?$/.test(name) || file.type === 'text/html') return 'html';
+  if (name.endsWith('.txt') || file.type === 'text/plain') return 'txt';
+  return null;
+}
+
+/**
+ * PDFs and images can be re-read with another OCR preprocessing preset
+ */
+function isOCRCapable(kind) {
+  return kind === 'pdf' || kind === 'image';
+}
+
+const IMAGE_MIMES = ['image/jpeg', 'image/png', 'image/webp'];
+const ZIP_MIMES = ['application/zip', 'application/x-zip-compressed'];
+
+/**
+ * Accept one document (PDF, Word, OpenDocument, text, JSON Resume, LinkedIn
+ * archive), or one or more images of the CV
+ * (photos, screenshots) read as pages in file name order
+ */
+async function handleFileUpload(files) {
+  const kinds = files.map(getFileKind);
+  const images = files.filter((_, idx) => kinds[idx] === 'image');
+  const kind = images.length > 1 ? 'image' : kinds[0];
+  if (!kind) {
+    showToast('Veuillez sélectionner un fichier PDF, Word (.docx), OpenDocument (.odt), texte (.txt, .md, .html), JSON Resume (.json), archive LinkedIn (.zip) ou une image (JPG, PNG, WebP).', 'error');
     return;
   }
-  if (file.size > 10 * 1024 * 1024) {
-    showToast('Le fichier est trop volumineux (max 10 Mo).', 'error');
+  if (images.length > 1 && images.length < files.length) {
+    showToast('Seules les images ont été retenues (une image par page).', 'info');
+  }
+
+  const selected = kind === 'image'
+    ? images.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    : [files[0]];
+  // LinkedIn archives also hold messages and connections: only a few CSV files are read
+  const maxSize = kind === 'linkedin' ? 100 : 10;
+  if (selected.some((file) => file.size > maxSize * 1024 * 1024)) {
+    showToast(`Le fichier est trop volumineux (max ${maxSize} Mo).`, 'error');
     return;
   }
 
-  state.uploadedFile = file;
+  const source = kind === 'image' ? selected : selected[0];
+  state.uploadedFile = source;
+  state.fileKind = kind;
+  state.importedResume = null;
+  state.importedCV = null;
 
-  fileName.textContent = file.name;
-  fileSize.textContent = formatFileSize(file.size);
+  fileName.textContent = describeUpload(selected);
+  fileSize.textContent = formatFileSize(selected.reduce((total, file) => total + file.size, 0));
+  setFileIcon(kind);
   dropZone.classList.add('hidden');
   filePreview.classList.remove('hidden');
 
+  // Render PDF preview and look for a profile photo in parallel
+  // (Word documents have no page rendering)
+  clearPhotoSuggestions();
+  if (kind === 'pdf') {
+    state.pdfSession?.destroy();
+    state.pdfSession = await openUploadedPDF(source);
+    if (!state.pdfSession) {
+      resetFile();
+      return;
+    }
+    renderPDFPreview(state.pdfSession);
+    offerEmbeddedPhotos(state.pdfSession);
+  } else if (kind === 'image') {
+    renderImagePreview(selected);
+  }
+
+  if (kind === 'json' || kind === 'linkedin') await importStructuredCV(source, kind);
+  else await runExtraction(source, kind);
+}
+
+/**
+ * Take a JSON Resume or a LinkedIn data archive as the CV: its data is
+ * already structured, so there is nothing to extract or segment
+ */
+async function importStructuredCV(file, kind) {
+  let resume;
+  try {
+    resume = kind === 'json' ? parseJSONResume(await file.text()) : await readLinkedInArchive(file);
+  } catch (err) {
+    showToast(err.message, 'error');
+    resetFile();
+    return;
+  }
+
+  state.importedResume = resume;
+  state.importedCV = jsonResumeToCVData(resume);
+  state.extractedText = cvDataToText(state.importedCV);
+  state.extractedLines = [];
+  state.extractedLinks = [];
+  state.extractedPages = [];
+  state.ocrConfidence = null;
+  state.numPages = 1;
+  state.isImageBased = false;
+  updateCVDraft();
+
+  extractedTextContainer.classList.remove('hidden');
+  manualInputContainer.classList.add('hidden');
+  renderExtractedText(state.extractedText);
+  charCount.textContent = `${state.extractedText.length} car. • ${METHOD_LABELS[kind]}`;
+  nextStep1Btn.disabled = state.extractedText.length < 50;
+  const count = state.importedCV.experience.length;
+  showToast(`CV importé depuis ${METHOD_LABELS[kind]} (${count} expérience${count > 1 ? 's' : ''})`, 'success');
+}
+
+// ============================================================
+// Protected PDFs
+// ============================================================
+
+/**
+ * Open the uploaded PDF once for the preview, photo and text passes,
+ * asking for its password if it is protected
+ * @returns {Promise<Object|null>} the PDF session, null if the file cannot be used
+ */
+async function openUploadedPDF(file) {
+  try {
+    return await openPDFSession(file, { requestPassword: promptPDFPassword });
+  } catch (err) {
+    if (!(err instanceof PDFOpenError)) {
+      console.error('PDF open error:', err);
+      showToast('Impossible d\'ouvrir ce PDF.', 'error');
+    } else if (err.reason === 'invalid') {
+      showToast(`${err.message} Vérifiez qu'il n'est pas endommagé ou exportez-le à nouveau en PDF.`, 'error', 6000);
+    } else {
+      showToast(err.message, 'error');
+    }
+    return null;
+  }
+}
+
+let resolvePDFPassword = null;
+
+/**
+ * Ask for the password of a protected PDF
+ * @returns {Promise<string|null>} null if the user cancels
+ */
+function promptPDFPassword({ incorrect }) {
+  pdfPasswordError.classList.toggle('hidden', !incorrect);
+  pdfPasswordInput.value = '';
+  pdfPasswordModal.classList.remove('hidden');
+  pdfPasswordInput.focus();
+  return new Promise((resolve) => {
+    resolvePDFPassword = resolve;
+  });
+}
+
+function closePDFPasswordModal(password) {
+  pdfPasswordModal.classList.add('hidden');
+  const resolve = resolvePDFPassword;
+  resolvePDFPassword = null;
+  if (resolve) resolve(password);
+}
+
+// Cancels the extraction in progress (OCR runs can take minutes)
+let extractionController = null;
+
+/**
+ * Extract the CV text and show it in step 1 (also used to re-run OCR
+ * with another preprocessing preset). A file read before is restored
+ * from the extraction cache unless `force` is set.
+ */
+async function runExtraction(file, kind, { force = false } = {}) {
+  extractionController?.abort();
+  const controller = new AbortController();
+  extractionController = controller;
+  cancelExtractionBtn.classList.remove('hidden');
+  forceExtractionBtn.classList.add('hidden');
+
+  clearOCRReview();
+  closeRegionOCR();
+  state.extractedOCRPreset = null;
+  ocrPresetBar.classList.add('hidden');
   extractedTextContainer.classList.remove('hidden');
   manualInputContainer.classList.add('hidden');
   extractedTextEl.textContent = '⏳ Extraction du texte en cours...';
   charCount.textContent = '';
   nextStep1Btn.disabled = true;
 
-  // Render PDF preview in parallel
-  renderPDFPreview(file);
-
   try {
-    const result = await extractTextFromPDF(file, (status) => {
+    const extract = {
+      pdf: extractTextFromPDF,
+      docx: extractTextFromDOCX,
+      odt: extractTextFromODT,
+      markdown: extractTextFromMarkdown,
+      html: extractTextFromHTML,
+      txt: extractTextFromPlainText,
+      image: extractTextFromImages,
+    }[kind];
+    // PDFs are read from the session opened at upload (no second parse)
+    const source = kind === 'pdf' && state.pdfSession ? state.pdfSession : file;
+    const options = {
+      ocrPreset: state.ocrPreset,
+      ocrLanguages: getSettings().ocrLanguages,
+      signal: controller.signal,
+    };
+
+    // Same bytes read before (with the same OCR languages): no second extraction
+    const uploadHash = await hashUpload(file);
+    controller.signal.throwIfAborted();
+    const cached = force ? null : await getCachedExtraction(uploadHash);
+    controller.signal.throwIfAborted();
+    const fromCache = Boolean(cached) && (!cached.ocrLanguages || cached.ocrLanguages === options.ocrLanguages.join('+'));
+
+    const result = fromCache ? cached : await extract(source, (status) => {
       switch (status.phase) {
+        case 'docx':
+          extractedTextEl.textContent = '📝 Lecture du document Word...';
+          break;
+        case 'document':
+          extractedTextEl.textContent = '📝 Lecture du document...';
+          break;
         case 'text':
           extractedTextEl.textContent = '📄 Extraction du texte standard...';
           break;
         case 'ocr-init':
-          extractedTextEl.textContent = '🔍 PDF basé images détecté !\n\n⏳ Chargement OCR (Tesseract.js)...';
+          if (kind === 'image') {
+            extractedTextEl.textContent = `🖼️ Image${status.totalPages > 1 ? 's' : ''} du CV (${status.totalPages} page${status.totalPages > 1 ? 's' : ''})\n\n⏳ Chargement OCR (Tesseract.js)...`;
+          } else if (status.ocrPages < status.totalPages) {
+            extractedTextEl.textContent = `🔍 Zones scannées détectées (${status.ocrPages} page${status.ocrPages > 1 ? 's' : ''}) !\n\n⏳ Chargement OCR (Tesseract.js)...`;
+            showToast('Zones image détectées → OCR ciblé lancé', 'info', 5000);
+          } else {
+            extractedTextEl.textContent = '🔍 PDF basé images détecté !\n\n⏳ Chargement OCR (Tesseract.js)...';
+            showToast('PDF design détecté → OCR automatique lancé', 'info', 5000);
+          }
           charCount.textContent = 'OCR en cours...';
-          showToast('PDF design détecté → OCR automatique lancé', 'info', 5000);
           break;
         case 'ocr-page':
-          extractedTextEl.textContent = `🔍 OCR en cours...\n\n📃 Page ${status.page}/${status.totalPages}\n⏳ ${status.progress}%`;
-          charCount.textContent = `Page ${status.page}/${status.totalPages}`;
-          break;
-        case 'ocr-recognize':
-          extractedTextEl.textContent = `🔍 Reconnaissance page ${status.page}/${status.totalPages}\n⏳ ${status.progress}%`;
+        case 'ocr-recognize': {
+          // Several pages are recognized at once: one line per page in flight
+          const pagesInFlight = status.active
+            .map((entry) => `📃 Page ${entry.page}/${status.totalPages} — ${entry.progress}%`)
+            .join('\n');
+          extractedTextEl.textContent = `🔍 OCR en cours... (${status.completed}/${status.total} terminées)\n\n${pagesInFlight}`;
+          charCount.textContent = `OCR ${status.completed}/${status.total}`;
           break;
+        }
         case 'ocr-done':
           extractedTextEl.textContent = '✅ OCR terminé !';
           break;
       }
-    });
+    }, options);
+
+    if (fromCache && result.ocrPreset) {
+      state.ocrPreset = result.ocrPreset;
+      ocrPresetSelect.value = result.ocrPreset;
+    } else if (!fromCache && !(kind === 'pdf' && state.pdfSession?.password)) {
+      // Text of password-protected PDFs is not kept in clear in the browser
+      const files = Array.isArray(file) ? file : [file];
+      saveCachedExtraction(uploadHash, {
+        name: describeUpload(files),
+        kind,
+        size: files.reduce((total, item) => total + item.size, 0),
+      }, result);
+    }
 
     state.extractedText = result.text;
+    state.extractedLines = result.lines || [];
+    state.extractedLinks = result.links || [];
+    state.extractedPages = result.pages || [];
+    state.ocrConfidence = result.ocrConfidence ?? null;
     state.numPages = result.numPages;
     state.isImageBased = (result.method === 'ocr');
+    state.extractedOCRPreset = result.ocrPreset || null;
+    setOCRReview(result);
+    updateCVDraft();
+
+    // Let the user compare preprocessing presets whenever OCR was involved
+    if (isOCRCapable(kind) && (result.ocrPreset || result.text.trim().length < 50)) {
+      ocrPresetBar.classList.remove('hidden');
+    }
 
     if (result.text && result.text.trim().length >= 50) {
       extractedTextContainer.classList.remove('hidden');
       manualInputContainer.classList.add('hidden');
-      extractedTextEl.textContent = result.text;
+      renderExtractedText(result.text);
 
-      const methodLabel = result.method === 'ocr' ? 'OCR' : 'texte';
+      let methodLabel = METHOD_LABELS[result.method] || result.method;
+      if (result.method === 'hybrid') {
+        const ocrPages = result.pages.filter((p) => p.method !== 'text').map((p) => p.page);
+        methodLabel += ` (p. ${ocrPages.join(', ')})`;
+      }
       charCount.textContent = `${result.text.length} car. • ${result.numPages} page${result.numPages > 1 ? 's' : ''} • ${methodLabel}`;
+      if (result.ocrConfidence !== null && result.ocrConfidence !== undefined) {
+        const toReview = extractedTextEl.querySelectorAll('mark.ocr-low').length;
+        charCount.textContent += ` • OCR ${result.ocrConfidence} %`;
+        if (toReview > 0) charCount.textContent += ` (${toReview} mot${toReview > 1 ? 's' : ''} à vérifier)`;
+      }
       nextStep1Btn.disabled = false;
-      showToast(`CV extrait ${result.method === 'ocr' ? 'via OCR' : ''} ! (${result.text.length} car.)`, 'success');
+      if (fromCache) {
+        charCount.textContent += ' • cache';
+        forceExtractionBtn.classList.remove('hidden');
+        showToast(`CV déjà extrait : résultat repris du cache (${result.text.length} car.)`, 'success');
+      } else {
+        const via = { ocr: 'via OCR', hybrid: 'avec OCR partiel' }[result.method] || '';
+        showToast(`CV extrait ${via} ! (${result.text.length} car.)`, 'success');
+      }
     } else {
       state.isImageBased = true;
       extractedTextContainer.classList.add('hidden');
@@ -513,31 +1064,390 @@ async function handleFileUpload(file) {
       showToast('Extraction insuffisante. Collez le contenu manuellement.', 'info', 6000);
     }
   } catch (err) {
-    console.error('PDF parsing error:', err);
+    if (err?.name === 'AbortError') {
+      // Superseded runs (new file, re-run, reset) leave the UI to their successor
+      if (extractionController === controller) {
+        extractedTextEl.textContent = '⏹️ Extraction annulée.';
+        if (isOCRCapable(kind)) ocrPresetBar.classList.remove('hidden');
+        showToast('Extraction annulée.', 'info');
+      }
+      return;
+    }
+    console.error('CV parsing error:', err);
     state.isImageBased = true;
     extractedTextContainer.classList.add('hidden');
     manualInputContainer.classList.remove('hidden');
     nextStep1Btn.disabled = true;
-    showToast('Erreur extraction. Collez le contenu manuellement.', 'error', 6000);
+    const reason = err instanceof PDFOpenError ? err.message : 'Erreur extraction.';
+    showToast(`${reason} Collez le contenu manuellement.`, 'error', 6000);
+  } finally {
+    if (extractionController === controller) {
+      extractionController = null;
+      cancelExtractionBtn.classList.add('hidden');
+    }
   }
 }
 
-async function renderPDFPreview(file) {
+const METHOD_LABELS = {
+  text: 'texte',
+  ocr: 'OCR',
+  hybrid: 'texte + OCR',
+  docx: 'Word',
+  odt: 'OpenDocument',
+  markdown: 'Markdown',
+  html: 'HTML',
+  txt: 'texte brut',
+  json: 'JSON Resume',
+  linkedin: 'LinkedIn',
+};
+
+function describeUpload(files) {
+  return files.length > 1 ? `${files.length} images (${files[0].name}, …)` : files[0].name;
+}
+
+const FILE_ICONS = {
+  pdf: { icon: 'picture_as_pdf', classes: ['bg-red-50', 'text-red-500'] },
+  docx: { icon: 'description', classes: ['bg-blue-50', 'text-blue-500'] },
+  odt: { icon: 'description', classes: ['bg-sky-50', 'text-sky-500'] },
+  markdown: { icon: 'markdown', classes: ['bg-gray-100', 'text-gray-600'] },
+  html: { icon: 'code', classes: ['bg-orange-50', 'text-orange-500'] },
+  txt: { icon: 'article', classes: ['bg-gray-100', 'text-gray-500'] },
+  json: { icon: 'data_object', classes: ['bg-amber-50', 'text-amber-500'] },
+  linkedin: { icon: 'folder_zip', classes: ['bg-sky-50', 'text-sky-700'] },
+  image: { icon: 'image', classes: ['bg-emerald-50', 'text-emerald-500'] },
+};
+
+// ============================================================
+// OCR Review — low-confidence words highlighted for correction
+// ============================================================
+
+/**
+ * Keep the low-confidence OCR words of an extraction, with object URLs
+ * for the page images they were read from
+ */
+function setOCRReview(result) {
+  const words = result.ocrWords || [];
+  if (words.length === 0) return;
+  state.ocrReview = {
+    words,
+    images: (result.ocrImages || []).map((image) => ({ ...image, url: URL.createObjectURL(image.blob) })),
+  };
+}
+
+function clearOCRReview() {
+  hideOCRWordTooltip();
+  for (const image of state.ocrReview?.images || []) URL.revokeObjectURL(image.url);
+  state.ocrReview = null;
+  extractedTextEl.contentEditable = 'false';
+}
+
+/**
+ * Show the extracted text as an editable field, wrapping each
+ * low-confidence OCR word in a <mark> the user can hover
+ */
+function renderExtractedText(text) {
+  const words = state.ocrReview?.words || [];
+  let html = '';
+  let cursor = 0;
+
+  words.forEach((word, idx) => {
+    // Words are found in reading order; post-processing may have altered
+    // or dropped some, those are simply left unmarked
+    if (word.text.length < 2) return;
+    const at = text.indexOf(word.text, cursor);
+    if (at < 0) return;
+    html += esc(text.slice(cursor, at));
+    html += `<mark class="ocr-low" data-word="${idx}">${esc(word.text)}</mark>`;
+    cursor = at + word.text.length;
+  });
+  html += esc(text.slice(cursor));
+
+  extractedTextEl.innerHTML = html;
+  extractedTextEl.contentEditable = 'true';
+}
+
+/**
+ * Preview of the page area a word was read from, with its confidence
+ */
+function showOCRWordTooltip(mark) {
+  const word = state.ocrReview?.words[mark.dataset.word];
+  const image = word && state.ocrReview.images[word.image];
+  if (!image) return;
+
+  // Pad the word box so the surrounding text gives context
+  const [x0, y0, x1, y1] = word.bbox;
+  const pad = (y1 - y0) * 0.6;
+  const left = Math.max(0, x0 - pad * 3);
+  const top = Math.max(0, y0 - pad);
+  const width = Math.min(image.width, x1 + pad * 3) - left;
+  const height = Math.min(image.height, y1 + pad) - top;
+  const scale = Math.min(48 / height, 260 / width);
+
+  const crop = ocrWordTooltip.querySelector('.ocr-word-crop');
+  crop.style.width = `${Math.round(width * scale)}px`;
+  crop.style.height = `${Math.round(height * scale)}px`;
+  crop.style.backgroundImage = `url("${image.url}")`;
+  crop.style.backgroundSize = `${image.width * scale}px ${image.height * scale}px`;
+  crop.style.backgroundPosition = `${-left * scale}px ${-top * scale}px`;
+  ocrWordTooltip.querySelector('.ocr-word-info').textContent =
+    `Page ${word.page} • Confiance : ${Math.round(word.confidence)} % (seuil ${LOW_CONFIDENCE} %)`;
+
+  const rect = mark.getBoundingClientRect();
+  ocrWordTooltip.style.left = `${Math.max(8, rect.left)}px`;
+  ocrWordTooltip.style.top = `${rect.bottom + 6}px`;
+  ocrWordTooltip.classList.remove('hidden');
+}
+
+function hideOCRWordTooltip() {
+  ocrWordTooltip.classList.add('hidden');
+}
+
+function setFileIcon(kind) {
+  for (const [key, { classes }] of Object.entries(FILE_ICONS)) {
+    for (const cls of classes) fileIcon.classList.toggle(cls, key === kind);
+  }
+  fileIcon.querySelector('.material-symbols-outlined').textContent = FILE_ICONS[kind].icon;
+}
+
+// ============================================================
+// PDF Preview — lazy thumbnails, navigator, zoom, enlarged view
+// ============================================================
+let pdfPreview = null;
+let previewState = { page: 1, numPages: 0, zoom: 1 };
+
+async function renderPDFPreview(session) {
+  clearPreviewPages();
+  // Visible first: thumbnails are sized from the list width
+  pdfPreviewContainer.classList.remove('hidden');
   try {
-    const canvases = await renderPDFPagesToImages(file, 1.2);
-    pdfPreviewPages.innerHTML = '';
-    for (const canvas of canvases) {
-      pdfPreviewPages.appendChild(canvas);
+    const preview = await createPDFPreview(session, pdfPreviewPages, {
+      onChange: updatePreviewNav,
+      onEnlarge: openPageViewer,
+      onSelectRegion: openRegionOCR,
+    });
+    if (state.pdfSession !== session) {
+      preview.destroy();
+      return;
     }
-    pdfPreviewContainer.classList.remove('hidden');
+    pdfPreview = preview;
+    previewNav.classList.remove('hidden');
   } catch (err) {
     console.error('PDF preview error:', err);
+    pdfPreviewContainer.classList.add('hidden');
+  }
+}
+
+function updatePreviewNav(next) {
+  previewState = next;
+  previewPageLabel.textContent = `${next.page} / ${next.numPages}`;
+  previewZoomLabel.textContent = `${Math.round(next.zoom * 100)} %`;
+  previewPrevBtn.disabled = next.page <= 1;
+  previewNextBtn.disabled = next.page >= next.numPages;
+}
+
+let viewerPage = 1;
+
+function openPageViewer(pageNumber) {
+  pageViewerModal.classList.remove('hidden');
+  showViewerPage(pageNumber);
+}
+
+async function showViewerPage(pageNumber) {
+  const session = state.pdfSession;
+  if (!session || pageNumber < 1 || pageNumber > session.numPages) return;
+  viewerPage = pageNumber;
+  pageViewerTitle.textContent = `Page ${pageNumber} / ${session.numPages}`;
+  pageViewerPrevBtn.disabled = pageNumber <= 1;
+  pageViewerNextBtn.disabled = pageNumber >= session.numPages;
+
+  try {
+    const canvas = await renderPageToFit(session, pageNumber, Math.min(window.innerWidth * 0.9, 860), window.innerHeight * 0.8);
+    // Another page was requested meanwhile
+    if (viewerPage !== pageNumber || pageViewerModal.classList.contains('hidden')) return;
+    pageViewerContent.replaceChildren(canvas);
+  } catch (err) {
+    console.error('Page viewer error:', err);
   }
 }
 
+function closePageViewer() {
+  pageViewerModal.classList.add('hidden');
+  pageViewerContent.innerHTML = '';
+}
+
+// ============================================================
+// Region re-OCR — a badly read block OCR'd again on its own
+// ============================================================
+// Default preset for a region: light text on a dark sidebar is the usual culprit
+const REGION_OCR_PRESET = 'inverted';
+
+const REGION_SPLICE_MESSAGES = {
+  replaced: 'Zone remplacée dans le texte extrait',
+  inserted: 'Zone insérée sous la ligne qui la précède',
+  appended: 'Zone ajoutée à la fin du texte',
+};
+
+// { page, region, controller, result } of the open region modal
+let regionOCR = null;
+
+function setRegionSelection(enabled) {
+  regionSelectBtn.classList.toggle('active', enabled);
+  pdfPreview?.setSelectionMode(enabled);
+  if (enabled) showToast('Tracez un rectangle autour de la zone à relire', 'info');
+}
+
+function openRegionOCR(pageNumber, region) {
+  closeRegionOCR();
+  regionOCR = { page: pageNumber, region, controller: null, result: null };
+
+  regionOCRTitle.textContent = `Relire une zone — page ${pageNumber}`;
+  regionOCRPresetSelect.value = REGION_OCR_PRESET;
+  regionOCRText.value = '';
+  applyRegionOCRBtn.disabled = true;
+  regionOCRModal.classList.remove('hidden');
+
+  const current = regionOCR;
+  renderRegionToFit(state.pdfSession, pageNumber, region, 600, 176)
+    .then((canvas) => {
+      if (regionOCR === current) regionOCRPreview.replaceChildren(canvas);
+    })
+    .catch((err) => console.error('Region preview error:', err));
+
+  runRegionOCR();
+}
+
+async function runRegionOCR() {
+  const current = regionOCR;
+  if (!current || !state.pdfSession) return;
+  if (extractionController) {
+    regionOCRStatus.textContent = '⏳ Attendez la fin de l\'extraction.';
+    return;
+  }
+
+  current.controller?.abort();
+  const controller = new AbortController();
+  current.controller = controller;
+  current.result = null;
+  runRegionOCRBtn.disabled = true;
+  applyRegionOCRBtn.disabled = true;
+  regionOCRStatus.textContent = '🔍 OCR de la zone en cours...';
+
+  try {
+    const result = await recognizePDFRegion(state.pdfSession, current.page, current.region, {
+      ocrPreset: regionOCRPresetSelect.value,
+      previousPreset: state.extractedOCRPreset,
+      ocrLanguages: getSettings().ocrLanguages,
+      signal: controller.signal,
+    });
+    if (current.controller !== controller) return;
+
+    current.result = result;
+    regionOCRText.value = result.text;
+    regionOCRStatus.textContent = result.text
+      ? `Confiance OCR : ${result.confidence ?? '—'} %`
+      : 'Aucun texte reconnu : essayez un autre prétraitement.';
+    applyRegionOCRBtn.disabled = !result.text;
+  } catch (err) {
+    if (err?.name === 'AbortError' || current.controller !== controller) return;
+    console.error('Region OCR error:', err);
+    regionOCRStatus.textContent = '❌ Échec de l\'OCR de la zone.';
+  } finally {
+    if (current.controller === controller) {
+      current.controller = null;
+      runRegionOCRBtn.disabled = false;
+    }
+  }
+}
+
+/**
+ * Splice the (possibly corrected) region text into the CV text, where
+ * the extraction had put that block
+ */
+function applyRegionOCR() {
+  const text = regionOCRText.value.trim();
+  if (!regionOCR?.result || !text) return;
+
+  const manual = !manualInputContainer.classList.contains('hidden');
+  const { text: spliced, mode } = spliceRegionText(manual ? manualCVText.value : state.extractedText, {
+    ...regionOCR.result,
+    text,
+  });
+
+  if (manual) {
+    manualCVText.value = spliced;
+    manualCVText.dispatchEvent(new Event('input'));
+  } else {
+    state.extractedText = spliced;
+    renderExtractedText(spliced);
+    nextStep1Btn.disabled = spliced.length < 50;
+    updateCVDraft();
+  }
+
+  closeRegionOCR();
+  setRegionSelection(false);
+  showToast(REGION_SPLICE_MESSAGES[mode], 'success');
+}
+
+function closeRegionOCR() {
+  regionOCR?.controller?.abort();
+  regionOCR = null;
+  regionOCRModal.classList.add('hidden');
+  regionOCRPreview.innerHTML = '';
+  regionOCRStatus.textContent = '';
+  runRegionOCRBtn.disabled = false;
+}
+
+/**
+ * Show uploaded images as preview pages, in OCR order
+ */
+function renderImagePreview(files) {
+  clearPreviewPages();
+  for (const file of files) {
+    const img = document.createElement('img');
+    img.alt = file.name;
+    img.src = URL.createObjectURL(file);
+    pdfPreviewPages.appendChild(img);
+  }
+  pdfPreviewContainer.classList.remove('hidden');
+}
+
+function clearPreviewPages() {
+  pdfPreview?.destroy();
+  pdfPreview = null;
+  previewNav.classList.add('hidden');
+  regionSelectBtn.classList.remove('active');
+  closePageViewer();
+  closeRegionOCR();
+  for (const img of pdfPreviewPages.querySelectorAll('img')) URL.revokeObjectURL(img.src);
+  pdfPreviewPages.innerHTML = '';
+}
+
 function resetFile() {
+  if (extractionController) {
+    const controller = extractionController;
+    extractionController = null;
+    controller.abort();
+    cancelExtractionBtn.classList.add('hidden');
+  }
+  forceExtractionBtn.classList.add('hidden');
   state.uploadedFile = null;
+  state.fileKind = null;
+  state.pdfSession?.destroy();
+  state.pdfSession = null;
   state.extractedText = '';
+  state.extractedLines = [];
+  state.extractedLinks = [];
+  state.extractedPages = [];
+  state.ocrConfidence = null;
+  state.cvDraft = null;
+  state.importedResume = null;
+  state.importedCV = null;
+  renderCVStructure();
+  renderQualityReport();
+  clearPhotoSuggestions();
+  clearOCRReview();
+  state.extractedOCRPreset = null;
+  ocrPresetBar.classList.add('hidden');
   state.numPages = 0;
   state.isImageBased = false;
   fileInput.value = '';
@@ -546,12 +1456,112 @@ function resetFile() {
   dropZone.classList.remove('hidden');
   filePreview.classList.add('hidden');
   pdfPreviewContainer.classList.add('hidden');
-  pdfPreviewPages.innerHTML = '';
+  clearPreviewPages();
   extractedTextContainer.classList.remove('hidden');
   manualInputContainer.classList.add('hidden');
   nextStep1Btn.disabled = true;
 }
 
+// ============================================================
+// Local CV Structure
+// ============================================================
+function updateCVDraft() {
+  state.cvDraft = state.importedCV
+    || (state.extractedText ? segmentCV(state.extractedText, state.extractedLines, state.extractedLinks) : null);
+  renderCVStructure();
+  renderQualityReport();
+}
+
+/**
+ * Show what the local segmenter found in the "Analyse en direct" panel
+ */
+function renderCVStructure() {
+  const draft = state.cvDraft;
+  cvStructure.classList.toggle('hidden', !draft);
+  analysisPlaceholder.classList.toggle('hidden', !!draft);
+  analysisStatus.textContent = draft ? 'PRÊT' : 'IDLE';
+  if (!draft) {
+    cvStructure.innerHTML = '';
+    return;
+  }
+
+  const pi = draft.personalInfo;
+  const count = (n, label) => `${n} ${label}${n > 1 ? 's' : ''}`;
+  const rows = [
+    ['person', pi.fullName || 'Nom non détecté'],
+    ['mail', pi.email || 'Email non détecté'],
+    ['call', pi.phone || 'Téléphone non détecté'],
+    ['work', count(draft.experience.length, 'expérience')],
+    ['school', count(draft.education.length, 'formation')],
+    ['build', count(draft.keySkills.length, 'compétence')],
+    ['translate', count(draft.languages.length, 'langue')],
+  ];
+  cvStructure.innerHTML = rows.map(([icon, label]) =>
+    `<div class="flex items-center gap-2 text-navy-accent/80"><span class="material-symbols-outlined text-sm text-primary">${icon}</span><span class="truncate">${esc(label)}</span></div>`
+  ).join('');
+}
+
+const QUALITY_LEVELS = {
+  good: { label: 'Bonne', classes: 'bg-emerald-50 text-emerald-600' },
+  fair: { label: 'Moyenne', classes: 'bg-amber-50 text-amber-600' },
+  poor: { label: 'Faible', classes: 'bg-red-50 text-red-500' },
+};
+
+const WARNING_ICONS = {
+  error: { icon: 'error', color: 'text-red-500' },
+  warning: { icon: 'warning', color: 'text-amber-500' },
+  info: { icon: 'info', color: 'text-gray-400' },
+};
+
+/**
+ * Extraction quality report: score, what was measured and what to check
+ * before step 2
+ */
+function renderQualityReport() {
+  const text = state.extractedText;
+  qualityReport.classList.toggle('hidden', !text);
+  if (!text) {
+    qualityReport.innerHTML = '';
+    return;
+  }
+
+  const report = assessExtraction(text, {
+    lines: state.extractedLines,
+    pages: state.extractedPages,
+    ocrConfidence: state.ocrConfidence,
+    draft: state.cvDraft,
+  });
+  const { metrics } = report;
+  const level = QUALITY_LEVELS[report.level];
+  const percent = (ratio) => `${Math.round(ratio * 100)} %`;
+  const check = (ok) => (ok ? '✓' : '✗');
+
+  const rows = [
+    ['Mots reconnus', percent(metrics.wordRatio)],
+    ['Caractères parasites', percent(metrics.garbageRatio)],
+    ['Sections clés', `${metrics.expectedSections.length - metrics.missingSections.length} / ${metrics.expectedSections.length}`],
+    ['Email / téléphone', `${check(metrics.email)} / ${check(metrics.phone)}`],
+  ];
+  if (metrics.columnPages.length > 0) rows.push(['Colonnes', `p. ${metrics.columnPages.join(', ')}`]);
+  if (metrics.emptyPages.length > 0) rows.push(['Pages sans texte', `p. ${metrics.emptyPages.join(', ')}`]);
+
+  qualityReport.innerHTML = `
+    <div class="flex items-center justify-between">
+      <span class="font-semibold text-navy-accent/80">Qualité de l'extraction</span>
+      <span class="rounded px-1.5 py-0.5 text-[10px] font-bold ${level.classes}">${level.label} • ${report.score}/100</span>
+    </div>
+    <div class="space-y-1">
+      ${rows.map(([label, value]) => `<div class="flex justify-between text-navy-accent/70"><span>${label}</span><span class="font-medium">${esc(value)}</span></div>`).join('')}
+    </div>
+    ${report.warnings.length > 0 ? `
+    <ul class="space-y-1 border-t border-gray-100 pt-2">
+      ${report.warnings.map((warning) => {
+        const { icon, color } = WARNING_ICONS[warning.level];
+        return `<li class="flex items-start gap-1.5 text-[11px] text-navy-accent/80"><span class="material-symbols-outlined text-sm ${color}">${icon}</span><span>${esc(warning.message)}</span></li>`;
+      }).join('')}
+    </ul>` : ''}`;
+}
+
 // ============================================================
 // Step Navigation
 // ============================================================
@@ -589,11 +1599,14 @@ function updateGenerateButton() {
   generateBtn.disabled = jobDescriptionInput.value.trim().length <= 20;
 }
 
+// Cancels the AI calls of the generation in progress
+let generationController = null;
+
 async function handleGenerate() {
   const settings = getSettings();
   if (!settings.apiKey) {
     showToast('Configurez votre clé API dans les paramètres (⚙️).', 'error');
-    settingsModal.classList.remove('hidden');
+    openSettings();
     return;
   }
 
@@ -615,6 +1628,9 @@ async function handleGenerate() {
   [loadingStep1, loadingStep2, loadingStep3].forEach((el) => el.classList.remove('active', 'done'));
   setProgress(5);
 
+  const controller = new AbortController();
+  generationController = controller;
+
   try {
     loadingStep1.classList.add('active');
     loadingTitle.textContent = 'Analyse du CV et de l\'offre...';
@@ -638,10 +1654,16 @@ async function handleGenerate() {
           loadingStep2.classList.add('done');
           setProgress(65);
         }
-      }
+      },
+      controller.signal
     );
 
-    state.adaptedCV = cvResult;
+    const { cv: checkedCV, warnings } = reconcileWithDraft(cvResult, state.cvDraft);
+    if (warnings.length > 0) {
+      // Warnings quote company and school names from the CV text
+      showToast(warnings.slice(0, 2).map(esc).join('<br>'), 'info', 7000);
+    }
+    state.adaptedCV = checkedCV;
 
     loadingStep3.classList.add('active');
     loadingTitle.textContent = 'Rédaction de la lettre de motivation...';
@@ -658,7 +1680,8 @@ async function handleGenerate() {
           loadingStep3.classList.add('done');
           setProgress(100);
         }
-      }
+      },
+      controller.signal
     );
 
     state.coverLetter = letterResult;
@@ -676,10 +1699,16 @@ async function handleGenerate() {
     launchConfetti();
 
   } catch (err) {
-    console.error('Generation error:', err);
     loadingState.classList.add('hidden');
-    showToast(err.message || 'Erreur lors de la génération.', 'error');
+    if (err?.name === 'AbortError') {
+      showToast('Génération annulée.', 'info');
+    } else {
+      console.error('Generation error:', err);
+      showToast(err.message || 'Erreur lors de la génération.', 'error');
+    }
     goToStep(2);
+  } finally {
+    generationController = null;
   }
 }
 
@@ -800,6 +1829,25 @@ function handleDownloadCV() {
   }
 }
 
+/**
+ * Export the adapted CV as JSON Resume, keeping the fields of an imported
+ * resume that the adapted CV does not carry (profiles, address...)
+ */
+function handleExportJSONResume() {
+  if (!state.adaptedCV) return;
+  try {
+    const resume = cvDataToJSONResume(state.adaptedCV, state.importedResume);
+    const blob = new Blob([JSON.stringify(resume, null, 2)], { type: 'application/json' });
+    const jobTitle = jobTitleInput.value.trim() || 'poste';
+    const safe = jobTitle.replace(/[^a-zA-Z0-9àâäéèêëïîôùûüÿçæœ\s-]/g, '').replace(/\s+/g, '_').substring(0, 30);
+    downloadBlob(blob, `CV_Adapte_${safe}.json`);
+    showToast('CV exporté en JSON Resume !', 'success');
+  } catch (err) {
+    console.error('JSON Resume export error:', err);
+    showToast('Erreur lors de l\'export JSON Resume.', 'error');
+  }
+}
+
 function handleDownloadCoverLetter() {
   if (!state.coverLetter) return;
   try {
@@ -817,47 +1865,17 @@ function handleDownloadCoverLetter() {
 }
 
 // ============================================================
-// Name Detection (3-strategy approach)
+// Utilities
 // ============================================================
-function detectCandidateName(text) {
-  if (!text) return '';
-  const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
-
-  // Strategy 1: First 5 lines, look for name patterns
-  for (let i = 0; i < Math.min(5, lines.length); i++) {
-    const line = lines[i];
-    if (line.includes('@') || line.includes('http') || line.includes('www.')) continue;
-    if (/^\d/.test(line) || line.length > 50) continue;
-    if (line.toLowerCase().includes('curriculum') || line.toLowerCase().includes('cv ')) continue;
-
-    const words = line.split(/\s+/);
-    if (words.length >= 2 && words.length <= 5) {
-      const allCap = words.every(w => /^[A-ZÀ-ÿ]/.test(w) || w.length <= 2);
-      if (allCap) return line;
-    }
-
-    if (/^[A-ZÀ-Ÿ\s-]{4,40}$/.test(line) && words.length >= 2 && words.length <= 4) {
-      return line.split(/\s+/).map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' ');
-    }
-  }
-
-  // Strategy 2: "Nom:" pattern
-  for (const line of lines.slice(0, 15)) {
-    const m = line.match(/(?:nom\s*:?\s*|name\s*:?\s*)(.+)/i);
-    if (m && m[1].length < 40) return m[1].trim();
-  }
-
-  // Strategy 3: First short line
-  for (const line of lines.slice(0, 3)) {
-    if (line.length >= 4 && line.length <= 35 && !line.includes('@')) return line;
-  }
-
-  return '';
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-// ============================================================
-// Utilities
-// ============================================================
 function formatFileSize(bytes) {
   if (bytes < 1024) return bytes + ' octets';
   if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' Ko';
@@ -0,0 +1,491 @@
+/**
+ * OCR Preprocessing — Cleans rendered pages up before Tesseract
+ *
+ * Works on raw RGBA pixels ({ data, width, height }) so the same code
+ * runs on a canvas ImageData, whatever thread it lives on.
+ *
+ * Presets:
+ *   - standard:  grayscale, contrast stretching and gamma (digital PDFs)
+ *   - scan:      + 90/180° orientation, deskew, Sauvola adaptive
+ *                thresholding and despeckle (phone photos, uneven light)
+ *   - contrast:  contrast stretching, Otsu global thresholding and
+ *                despeckle (clean scans, faded prints)
+ *   - inverted:  negative + the contrast steps, for light text on a dark
+ *                background (colored sidebars, banners)
+ *   - none:      the render as is, to compare against
+ */
+
+export const OCR_PRESETS = {
+    standard: {
+        label: 'Standard',
+        description: 'Niveaux de gris et contraste',
+        orient: false,
+        deskew: false,
+        binarize: null,
+        despeckle: false,
+    },
+    scan: {
+        label: 'Scan / photo',
+        description: 'Orientation, redressement, seuillage adaptatif',
+        orient: true,
+        deskew: true,
+        binarize: 'sauvola',
+        despeckle: true,
+    },
+    contrast: {
+        label: 'Contraste élevé',
+        description: 'Seuillage global et nettoyage',
+        orient: false,
+        deskew: false,
+        binarize: 'otsu',
+        despeckle: true,
+    },
+    inverted: {
+        label: 'Texte clair sur fond sombre',
+        description: 'Négatif, seuillage global et nettoyage',
+        invert: true,
+        orient: false,
+        deskew: false,
+        binarize: 'otsu',
+        despeckle: true,
+    },
+    none: {
+        label: 'Aucun',
+        description: 'Image brute',
+        raw: true,
+    },
+};
+
+export const DEFAULT_OCR_PRESET = 'standard';
+
+// Orientation and skew are estimated on an ink mask at most this many pixels long
+const ANALYSIS_SIZE = 1000;
+// Columns must be this much "sharper" than rows to call the page rotated by 90°
+const ORIENTATION_RATIO = 2;
+// Ink below the x-height band must exceed ink above it by this factor to flip 180°
+const UPSIDE_DOWN_RATIO = 1.2;
+// Skew search range and step, in degrees
+const MAX_SKEW = 6;
+const SKEW_STEP = 0.2;
+// Smaller skews are left alone (rotation blurs more than it helps)
+const MIN_DESKEW_ANGLE = 0.3;
+// Sauvola parameters: sensitivity and dynamic range of the standard deviation
+const SAUVOLA_K = 0.34;
+const SAUVOLA_R = 128;
+
+/**
+ * Apply an OCR preset to RGBA pixels.
+ * Returns new pixels (dimensions change when the page is turned by 90°)
+ * with the applied rotation and the corrected skew, in degrees.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image
+ * @param {string} [presetName]
+ * @param {Object} [options]
+ * @param {boolean} [options.latinScript=true] - false when the text may be in
+ *   another script (Arabic, Hebrew, Cyrillic...): the upside-down check
+ *   relies on Latin letter shapes and is skipped
+ * @returns {{data: Uint8ClampedArray, width: number, height: number, rotation: number, skew: number}}
+ */
+export function preprocessImage(image, presetName = DEFAULT_OCR_PRESET, { latinScript = true } = {}) {
+    const preset = OCR_PRESETS[presetName] || OCR_PRESETS[DEFAULT_OCR_PRESET];
+    // ImageData keeps its fields as prototype getters: a spread would drop them
+    if (preset.raw) return { data: image.data, width: image.width, height: image.height, rotation: 0, skew: 0 };
+
+    let { width, height } = image;
+    let gray = toGrayscale(image.data);
+    if (preset.invert) invert(gray);
+    stretchContrast(gray);
+
+    let rotation = 0;
+    if (preset.orient) {
+        rotation = detectOrientation(gray, width, height, latinScript);
+        if (rotation) ({ pixels: gray, width, height } = rotateQuarter(gray, width, height, rotation));
+    }
+
+    let skew = 0;
+    if (preset.deskew) {
+        const angle = estimateSkew(gray, width, height);
+        if (Math.abs(angle) >= MIN_DESKEW_ANGLE) {
+            gray = rotateSmall(gray, width, height, angle);
+            skew = angle;
+        }
+    }
+
+    if (preset.binarize === 'sauvola') sauvolaThreshold(gray, width, height);
+    else if (preset.binarize === 'otsu') applyThreshold(gray, otsuThreshold(gray));
+
+    if (preset.despeckle) despeckle(gray, width, height);
+
+    return { data: toRGBA(gray), width, height, rotation, skew };
+}
+
+// ============================================================
+// Grayscale and contrast
+// ============================================================
+function toGrayscale(data) {
+    const gray = new Uint8ClampedArray(data.length / 4);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return gray;
+}
+
+function invert(gray) {
+    for (let p = 0; p < gray.length; p++) gray[p] = 255 - gray[p];
+}
+
+function toRGBA(gray) {
+    const data = new Uint8ClampedArray(gray.length * 4);
+    for (let p = 0, i = 0; p < gray.length; p++, i += 4) {
+        data[i] = data[i + 1] = data[i + 2] = gray[p];
+        data[i + 3] = 255;
+    }
+    return data;
+}
+
+/**
+ * Stretch the 2nd–98th percentile range to full scale, then apply a
+ * slight gamma correction for better text contrast
+ */
+function stretchContrast(gray) {
+    const histogram = buildHistogram(gray);
+    let cumulative = 0;
+    let lowVal = 0;
+    let highVal = 255;
+    for (let i = 0; i < 256; i++) {
+        cumulative += histogram[i];
+        if (cumulative >= gray.length * 0.02 && lowVal === 0) lowVal = i;
+        if (cumulative >= gray.length * 0.98) {
+            highVal = i;
+            break;
+        }
+    }
+
+    const range = highVal - lowVal || 1;
+    const lut = new Uint8ClampedArray(256);
+    for (let i = 0; i < 256; i++) {
+        const stretched = Math.max(0, Math.min(255, ((i - lowVal) / range) * 255));
+        lut[i] = 255 * Math.pow(stretched / 255, 0.85);
+    }
+    for (let p = 0; p < gray.length; p++) gray[p] = lut[gray[p]];
+}
+
+function buildHistogram(gray) {
+    const histogram = new Uint32Array(256);
+    for (let p = 0; p < gray.length; p++) histogram[gray[p]]++;
+    return histogram;
+}
+
+// ============================================================
+// Binarization
+// ============================================================
+
+/**
+ * Global threshold maximizing the between-class variance (Otsu)
+ */
+function otsuThreshold(gray) {
+    const histogram = buildHistogram(gray);
+    let sumAll = 0;
+    for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = 0;
+    let threshold = 128;
+    for (let i = 0; i < 256; i++) {
+        weightBackground += histogram[i];
+        if (weightBackground === 0) continue;
+        const weightForeground = gray.length - weightBackground;
+        if (weightForeground === 0) break;
+
+        sumBackground += i * histogram[i];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sumAll - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+        if (variance > best) {
+            best = variance;
+            threshold = i;
+        }
+    }
+    return threshold;
+}
+
+function applyThreshold(gray, threshold) {
+    for (let p = 0; p < gray.length; p++) gray[p] = gray[p] <= threshold ? 0 : 255;
+}
+
+/**
+ * Local threshold from the mean and deviation of a window around each
+ * pixel (Sauvola), computed in constant time with integral images.
+ * Handles shadows and uneven lighting that defeat a global threshold.
+ */
+function sauvolaThreshold(gray, width, height) {
+    const half = Math.max(7, Math.round(Math.min(width, height) / 80));
+    const stride = width + 1;
+    const sum = new Float64Array(stride * (height + 1));
+    const sumSq = new Float64Array(stride * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        let rowSumSq = 0;
+        for (let x = 0; x < width; x++) {
+            const value = gray[y * width + x];
+            rowSum += value;
+            rowSumSq += value * value;
+            sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum;
+            sumSq[(y + 1) * stride + x + 1] = sumSq[y * stride + x + 1] + rowSumSq;
+        }
+    }
+
+    for (let y = 0; y < height; y++) {
+        const top = Math.max(0, y - half);
+        const bottom = Math.min(height, y + half + 1);
+        for (let x = 0; x < width; x++) {
+            const left = Math.max(0, x - half);
+            const right = Math.min(width, x + half + 1);
+            const count = (bottom - top) * (right - left);
+
+            const a = top * stride + left;
+            const b = top * stride + right;
+            const c = bottom * stride + left;
+            const d = bottom * stride + right;
+            const mean = (sum[d] - sum[b] - sum[c] + sum[a]) / count;
+            const variance = (sumSq[d] - sumSq[b] - sumSq[c] + sumSq[a]) / count - mean * mean;
+            const deviation = Math.sqrt(Math.max(0, variance));
+
+            const threshold = mean * (1 + SAUVOLA_K * (deviation / SAUVOLA_R - 1));
+            const p = y * width + x;
+            gray[p] = gray[p] <= threshold ? 0 : 255;
+        }
+    }
+}
+
+/**
+ * Remove isolated black pixels (scanner dust, JPEG noise) from a binary image
+ */
+function despeckle(gray, width, height) {
+    const source = gray.slice();
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const p = y * width + x;
+            if (source[p] !== 0) continue;
+
+            let neighbors = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if ((dx || dy) && source[p + dy * width + dx] === 0) neighbors++;
+                }
+            }
+            if (neighbors === 0) gray[p] = 255;
+        }
+    }
+}
+
+// ============================================================
+// Orientation and skew
+// ============================================================
+
+/**
+ * Downscaled ink mask (1 = ink) used to estimate orientation and skew
+ */
+function buildInkMask(gray, width, height) {
+    const factor = Math.max(1, Math.ceil(Math.max(width, height) / ANALYSIS_SIZE));
+    const w = Math.floor(width / factor);
+    const h = Math.floor(height / factor);
+    const threshold = otsuThreshold(gray);
+    const mask = new Uint8Array(w * h);
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            let ink = 0;
+            for (let dy = 0; dy < factor; dy++) {
+                const row = (y * factor + dy) * width + x * factor;
+                for (let dx = 0; dx < factor; dx++) {
+                    if (gray[row + dx] <= threshold) ink++;
+                }
+            }
+            mask[y * w + x] = ink * 6 >= factor * factor ? 1 : 0;
+        }
+    }
+    return { mask, w, h };
+}
+
+/**
+ * Clockwise rotation (0, 90, 180 or 270°) that makes text lines
+ * horizontal and upright: text lines make the row profile alternate
+ * sharply, and Latin ascenders outnumber descenders (Arabic letters hang
+ * below the baseline, so other scripts only get the 90° check).
+ */
+function detectOrientation(gray, width, height, latinScript) {
+    let { mask, w, h } = buildInkMask(gray, width, height);
+
+    const rows = new Float64Array(h);
+    const cols = new Float64Array(w);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            if (mask[y * w + x]) {
+                rows[y]++;
+                cols[x]++;
+            }
+        }
+    }
+
+    let rotation = 0;
+    if (profileSharpness(cols) > profileSharpness(rows) * ORIENTATION_RATIO) {
+        rotation = 90;
+        ({ pixels: mask, width: w, height: h } = rotateQuarter(mask, w, h, 90));
+    }
+
+    if (latinScript && isUpsideDown(mask, w, h)) rotation += 180;
+    return rotation;
+}
+
+/**
+ * How abruptly a projection profile alternates between ink and blank,
+ * independent of its scale
+ */
+function profileSharpness(profile) {
+    let changes = 0;
+    let energy = 0;
+    for (let i = 0; i < profile.length; i++) {
+        energy += profile[i] * profile[i];
+        if (i > 0) changes += (profile[i] - profile[i - 1]) ** 2;
+    }
+    return energy ? changes / energy : 0;
+}
+
+/**
+ * Compare ink above and below the x-height band of each text line
+ */
+function isUpsideDown(mask, w, h) {
+    const rows = new Float64Array(h);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) rows[y] += mask[y * w + x];
+    }
+
+    const peak = Math.max(...rows);
+    if (peak === 0) return false;
+
+    let above = 0;
+    let below = 0;
+    for (let y = 0; y < h;) {
+        if (rows[y] < peak * 0.05) {
+            y++;
+            continue;
+        }
+
+        // One text line: consecutive inked rows
+        const start = y;
+        while (y < h && rows[y] >= peak * 0.05) y++;
+        const line = rows.slice(start, y);
+        if (line.length < 3) continue;
+
+        // The x-height band holds the densest rows of the line
+        const lineMax = Math.max(...line);
+        const coreStart = line.findIndex((v) => v >= lineMax * 0.5);
+        const coreEnd = line.length - 1 - [...line].reverse().findIndex((v) => v >= lineMax * 0.5);
+        for (let k = 0; k < coreStart; k++) above += line[k];
+        for (let k = coreEnd + 1; k < line.length; k++) below += line[k];
+    }
+
+    return below > above * UPSIDE_DOWN_RATIO;
+}
+
+/**
+ * Skew angle (degrees, clockwise) of the text lines, found by maximizing
+ * the sharpness of the row profile of the ink projected along each angle
+ */
+function estimateSkew(gray, width, height) {
+    const { mask, w, h } = buildInkMask(gray, width, height);
+
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            if (mask[y * w + x]) {
+                xs.push(x);
+                ys.push(y);
+            }
+        }
+    }
+    if (xs.length === 0) return 0;
+
+    const margin = Math.ceil(w * Math.tan((MAX_SKEW * Math.PI) / 180));
+    const bins = new Float64Array(h + 2 * margin);
+    let bestAngle = 0;
+    let bestScore = -1;
+
+    for (let angle = -MAX_SKEW; angle <= MAX_SKEW + 1e-9; angle += SKEW_STEP) {
+        const slope = Math.tan((angle * Math.PI) / 180);
+        bins.fill(0);
+        for (let k = 0; k < xs.length; k++) {
+            bins[Math.round(ys[k] - xs[k] * slope) + margin]++;
+        }
+
+        let score = 0;
+        for (let b = 0; b < bins.length; b++) score += bins[b] * bins[b];
+        if (score > bestScore) {
+            bestScore = score;
+            bestAngle = angle;
+        }
+    }
+    return Math.round(bestAngle * 100) / 100;
+}
+
+/**
+ * Rotate a single-channel image clockwise by a multiple of 90°
+ */
+function rotateQuarter(pixels, width, height, degrees) {
+    const turns = ((degrees / 90) % 4 + 4) % 4;
+    if (turns === 0) return { pixels, width, height };
+
+    const swap = turns % 2 === 1;
+    const outWidth = swap ? height : width;
+    const outHeight = swap ? width : height;
+    const out = new pixels.constructor(pixels.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let nx;
+            let ny;
+            if (turns === 1) {
+                nx = height - 1 - y;
+                ny = x;
+            } else if (turns === 2) {
+                nx = width - 1 - x;
+                ny = height - 1 - y;
+            } else {
+                nx = y;
+                ny = width - 1 - x;
+            }
+            out[ny * outWidth + nx] = pixels[y * width + x];
+        }
+    }
+    return { pixels: out, width: outWidth, height: outHeight };
+}
+
+/**
+ * Undo a small clockwise skew by rotating the content back around the
+ * center (nearest neighbor, white outside the source)
+ */
+function rotateSmall(gray, width, height, degrees) {
+    const radians = (degrees * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const cx = width / 2;
+    const cy = height / 2;
+    const out = new Uint8ClampedArray(gray.length).fill(255);
+
+    for (let y = 0; y < height; y++) {
+        const dy = y - cy;
+        for (let x = 0; x < width; x++) {
+            const dx = x - cx;
+            const sx = Math.round(cos * dx - sin * dy + cx);
+            const sy = Math.round(sin * dx + cos * dy + cy);
+            if (sx >= 0 && sx < width && sy >= 0 && sy < height) {
+                out[y * width + x] = gray[sy * width + sx];
+            }
+        }
+    }
+    return out;
+}
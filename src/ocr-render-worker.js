@@ -0,0 +1,164 @@
+/**
+ * OCR Render Worker — Renders and preprocesses pages off the main thread
+ *
+ * Loads its own copy of the PDF, draws pages (or uploaded images) on an
+ * OffscreenCanvas, applies the OCR preprocessing preset and hands back a
+ * PNG blob ready for Tesseract, so multi-megapixel pages never freeze the UI.
+ *
+ * Messages:
+ *   → { type: 'open', data, password }                       ← { type: 'opened' }
+ *   → { type: 'render', id, page, scale, region, preset, latinScript }  ← { type: 'rendered', id, blob, width, height, rotation, skew }
+ *   → { type: 'image', id, image, scale, preset, latinScript }          ← { type: 'rendered', ... } (image: ImageBitmap)
+ *   ← { type: 'error', id, message } when a request fails
+ */
+import * as pdfjsLib from 'pdfjs-dist';
+import { preprocessImage } from './ocr-preprocess.js';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
+    'pdfjs-dist/build/pdf.worker.mjs',
+    import.meta.url
+).toString();
+
+/**
+ * pdfjs creates its scratch canvases through this factory; the default
+ * one needs `document`, which workers do not have
+ */
+class OffscreenCanvasFactory {
+    create(width, height) {
+        const canvas = new OffscreenCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+}
+
+let pdf = null;
+// Last rendered page, reused by the following region jobs of that page
+let lastRender = null;
+// Requests are handled one at a time, in order
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+    const message = event.data;
+    queue = queue.then(() => handleMessage(message)).catch((err) => {
+        self.postMessage({ type: 'error', id: message.id, message: err?.message || String(err) });
+    });
+};
+
+async function handleMessage(message) {
+    switch (message.type) {
+        case 'open':
+            releaseLastRender();
+            pdf = await pdfjsLib.getDocument({
+                data: message.data,
+                password: message.password,
+                CanvasFactory: OffscreenCanvasFactory,
+                // No FontFace API here: glyphs are drawn as paths
+                disableFontFace: true,
+            }).promise;
+            self.postMessage({ type: 'opened' });
+            break;
+        case 'render':
+            self.postMessage({ type: 'rendered', id: message.id, ...(await renderForOCR(message)) });
+            break;
+        case 'image':
+            self.postMessage({ type: 'rendered', id: message.id, ...(await imageForOCR(message)) });
+            break;
+    }
+}
+
+/**
+ * Render a page (or a PDF-space region of it) and preprocess it for OCR
+ */
+async function renderForOCR({ page: pageNumber, scale, region, preset, latinScript }) {
+    const { canvas: pageCanvas, viewport } = await renderPage(pageNumber, scale);
+
+    let left = 0;
+    let top = 0;
+    let width = pageCanvas.width;
+    let height = pageCanvas.height;
+    if (region) {
+        const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(region);
+        left = Math.max(0, Math.floor(Math.min(x1, x2)));
+        top = Math.max(0, Math.floor(Math.min(y1, y2)));
+        width = Math.max(1, Math.min(pageCanvas.width - left, Math.ceil(Math.abs(x2 - x1))));
+        height = Math.max(1, Math.min(pageCanvas.height - top, Math.ceil(Math.abs(y2 - y1))));
+    }
+
+    // The page render stays cached: preprocess a copy of the area
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(pageCanvas, left, top, width, height, 0, 0, width, height);
+    // Only region jobs share a page: whole-page renders are not reused
+    if (!region) releaseLastRender();
+
+    return preprocessToBlob(canvas, ctx, preset, latinScript);
+}
+
+/**
+ * Render a page on a white background, reusing the previous render
+ * when the same page and scale are requested again
+ */
+async function renderPage(pageNumber, scale) {
+    if (lastRender?.pageNumber === pageNumber && lastRender.scale === scale) return lastRender;
+    releaseLastRender();
+
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale });
+    const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const ctx = canvas.getContext('2d');
+
+    // White background (essential for OCR accuracy)
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    page.cleanup();
+
+    lastRender = { pageNumber, scale, viewport, canvas };
+    return lastRender;
+}
+
+function releaseLastRender() {
+    if (!lastRender) return;
+    lastRender.canvas.width = 0;
+    lastRender.canvas.height = 0;
+    lastRender = null;
+}
+
+/**
+ * Scale an uploaded image (white background for transparent PNGs) and
+ * preprocess it for OCR
+ */
+async function imageForOCR({ image, scale, preset, latinScript }) {
+    const canvas = new OffscreenCanvas(Math.round(image.width * scale), Math.round(image.height * scale));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    image.close();
+
+    return preprocessToBlob(canvas, ctx, preset, latinScript);
+}
+
+async function preprocessToBlob(canvas, ctx, preset, latinScript) {
+    const result = preprocessImage(ctx.getImageData(0, 0, canvas.width, canvas.height), preset, { latinScript });
+    canvas.width = result.width;
+    canvas.height = result.height;
+    ctx.putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    canvas.width = 0;
+    canvas.height = 0;
+
+    return { blob, width: result.width, height: result.height, rotation: result.rotation, skew: result.skew };
+}
@@ -0,0 +1,290 @@
+/**
+ * ODT Parser — Extracts text from OpenDocument (LibreOffice) documents
+ *
+ * Strategy:
+ *   1. Unzip the .odt package with JSZip
+ *   2. Read content.xml plus the named styles of styles.xml, to know
+ *      which paragraph styles are titles and headings
+ *   3. Walk office:text in document order: headings, paragraphs, nested
+ *      lists, tables, frames and hyperlinks
+ *   4. Return the same shape as extractTextFromDOCX() (shared Markdown
+ *      markup, see joinBlocks)
+ */
+import JSZip from 'jszip';
+import { formatLink, joinBlocks } from './docx-parser.js';
+
+const OFFICE_NS = 'urn:oasis:names:tc:opendocument:xmlns:office:1.0';
+const TEXT_NS = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0';
+const STYLE_NS = 'urn:oasis:names:tc:opendocument:xmlns:style:1.0';
+const META_NS = 'urn:oasis:names:tc:opendocument:xmlns:meta:1.0';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Extract text content from an ODT file.
+ *
+ * @param {File} file
+ * @param {(status: {phase: string, progress: number}) => void} [onProgress]
+ * @returns {Promise<{text: string, numPages: number, method: 'odt'}>}
+ */
+export async function extractTextFromODT(file, onProgress) {
+    if (onProgress) onProgress({ phase: 'document', progress: 0 });
+
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const contentXml = await readZipXML(zip, 'content.xml');
+    if (!contentXml) {
+        throw new Error('Document OpenDocument invalide : content.xml introuvable.');
+    }
+
+    // Automatic styles (content.xml) derive from the named ones (styles.xml)
+    const styles = new Map();
+    readParagraphStyles(await readZipXML(zip, 'styles.xml'), styles);
+    readParagraphStyles(contentXml, styles);
+    const context = { headingLevel: (styleName) => resolveHeadingLevel(styles, styleName) };
+
+    const body = contentXml.getElementsByTagNameNS(OFFICE_NS, 'text')[0];
+    const blocks = body ? convertBlockContainer(body, context) : [];
+
+    if (onProgress) onProgress({ phase: 'document', progress: 100 });
+
+    return {
+        text: joinBlocks(blocks),
+        numPages: await readPageCount(zip),
+        method: 'odt',
+    };
+}
+
+// ============================================================
+// Package helpers
+// ============================================================
+async function readZipXML(zip, path) {
+    const entry = zip.file(path);
+    if (!entry) return null;
+    const xml = await entry.async('string');
+    return new DOMParser().parseFromString(xml, 'application/xml');
+}
+
+/**
+ * Page count as last saved (meta.xml document statistics), 1 if unknown
+ */
+async function readPageCount(zip) {
+    const meta = await readZipXML(zip, 'meta.xml');
+    const statistic = meta?.getElementsByTagNameNS(META_NS, 'document-statistic')[0];
+    const pages = parseInt(statistic?.getAttributeNS(META_NS, 'page-count'), 10);
+    return pages > 0 ? pages : 1;
+}
+
+/**
+ * Collect paragraph styles: name → { parent, level } where level is the
+ * Markdown heading level the style itself implies (0 when it does not):
+ * Title → 1, Heading 1 → 2 (sections), Heading 2+ → 3 (entries)
+ */
+function readParagraphStyles(xml, styles) {
+    if (!xml) return;
+
+    for (const style of xml.getElementsByTagNameNS(STYLE_NS, 'style')) {
+        if (style.getAttributeNS(STYLE_NS, 'family') !== 'paragraph') continue;
+        const name = style.getAttributeNS(STYLE_NS, 'name');
+        const displayName = style.getAttributeNS(STYLE_NS, 'display-name') || name.replace(/_20_/g, ' ');
+        const outline = parseInt(style.getAttributeNS(STYLE_NS, 'default-outline-level'), 10);
+
+        const named = displayName.match(/^(?:heading|titre|überschrift|título)\s*(\d)$/i);
+        let level = 0;
+        if (/^(?:title|titre)$/i.test(displayName)) level = 1;
+        else if (named) level = Math.min(parseInt(named[1], 10) + 1, 3);
+        else if (outline > 0) level = Math.min(outline + 1, 3);
+
+        styles.set(name, { parent: style.getAttributeNS(STYLE_NS, 'parent-style-name'), level });
+    }
+}
+
+function resolveHeadingLevel(styles, styleName) {
+    // Parent chains are short; the guard only protects against cycles
+    for (let depth = 0; styleName && depth < 10; depth++) {
+        const style = styles.get(styleName);
+        if (!style) return 0;
+        if (style.level) return style.level;
+        styleName = style.parent;
+    }
+    return 0;
+}
+
+// ============================================================
+// Body conversion
+// ============================================================
+
+/**
+ * Convert the children of a block container (body, section, cell,
+ * text box) into an array of text blocks
+ */
+function convertBlockContainer(container, context, listLevel = -1) {
+    const blocks = [];
+
+    for (const node of container.children) {
+        switch (node.localName) {
+            case 'h': {
+                const floating = [];
+                const text = cleanText(collectInlineText(node, floating));
+                const outline = parseInt(textAttr(node, 'outline-level') || '1', 10);
+                const level = context.headingLevel(textAttr(node, 'style-name')) || Math.min(outline + 1, 3);
+                if (text) blocks.push({ type: 'heading', level, text });
+                for (const box of floating) blocks.push(...convertBlockContainer(box, context));
+                break;
+            }
+            case 'p':
+                blocks.push(...convertParagraph(node, context, listLevel));
+                break;
+            case 'list':
+                blocks.push(...convertList(node, context, listLevel + 1));
+                break;
+            case 'table':
+                blocks.push(...convertTable(node, context));
+                break;
+            case 'section':
+                blocks.push(...convertBlockContainer(node, context, listLevel));
+                break;
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Convert a paragraph into one block (a list item inside lists),
+ * followed by any text boxes it anchors
+ */
+function convertParagraph(paragraph, context, listLevel) {
+    const floating = [];
+    const text = cleanText(collectInlineText(paragraph, floating));
+
+    const blocks = [];
+    if (text) {
+        const headingLevel = context.headingLevel(textAttr(paragraph, 'style-name'));
+        if (listLevel >= 0) {
+            blocks.push({ type: 'list', level: listLevel, text: text.replace(/^[•·▪◦●■\-–*]\s*/, '') });
+        } else if (headingLevel) {
+            blocks.push({ type: 'heading', level: headingLevel, text });
+        } else {
+            blocks.push({ type: 'paragraph', text });
+        }
+    }
+
+    for (const box of floating) {
+        blocks.push(...convertBlockContainer(box, context));
+    }
+    return blocks;
+}
+
+/**
+ * Convert a list: one item per paragraph, nested lists one level deeper.
+ * Extra paragraphs of an item are joined to it.
+ */
+function convertList(list, context, level) {
+    const blocks = [];
+
+    for (const item of list.children) {
+        if (item.localName !== 'list-item' && item.localName !== 'list-header') continue;
+
+        let current = null;
+        for (const block of convertBlockContainer(item, context, level)) {
+            if (block.type === 'list' && block.level === level && current) {
+                current.text += ` ${block.text}`;
+            } else {
+                blocks.push(block);
+                if (block.type === 'list' && block.level === level) current = block;
+            }
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Convert a table: one line per row, cells separated like PDF columns
+ */
+function convertTable(table, context) {
+    const blocks = [];
+    const rows = [...table.getElementsByTagNameNS(table.namespaceURI, 'table-row')]
+        // Nested tables are converted with their cell
+        .filter((row) => closestTable(row) === table);
+
+    for (const row of rows) {
+        const cells = [];
+        for (const cell of row.children) {
+            if (cell.localName !== 'table-cell') continue;
+            const cellText = convertBlockContainer(cell, context)
+                .map((block) => block.type === 'list' ? `• ${block.text}` : block.text)
+                .join(' ')
+                .trim();
+            if (cellText) cells.push(cellText);
+        }
+
+        if (cells.length > 0) {
+            blocks.push({ type: 'row', text: cells.join('    ') });
+        }
+    }
+
+    if (blocks.length > 0) blocks.push({ type: 'break' });
+    return blocks;
+}
+
+function closestTable(node) {
+    let parent = node.parentElement;
+    while (parent && parent.localName !== 'table') parent = parent.parentElement;
+    return parent;
+}
+
+/**
+ * Collect the text of spans, links and fields inside a paragraph.
+ * Frames with a text box found along the way are pushed to `floating`.
+ */
+function collectInlineText(node, floating) {
+    let text = '';
+
+    for (const child of node.childNodes) {
+        if (child.nodeType === 3) {
+            text += child.nodeValue;
+            continue;
+        }
+        if (child.nodeType !== 1) continue;
+
+        switch (child.localName) {
+            case 's':
+                text += ' '.repeat(parseInt(textAttr(child, 'c') || '1', 10));
+                break;
+            case 'tab':
+                text += '\t';
+                break;
+            case 'line-break':
+                text += '\n';
+                break;
+            case 'a':
+                text += formatLink(collectInlineText(child, floating), child.getAttributeNS(XLINK_NS, 'href'));
+                break;
+            case 'text-box':
+                floating.push(child);
+                break;
+            case 'note':
+            case 'annotation':
+            case 'tracked-changes':
+            // Embedded image data and frame titles / descriptions
+            case 'image':
+            case 'title':
+            case 'desc':
+                break;
+            default:
+                // Spans, frames, fields... recurse into them
+                text += collectInlineText(child, floating);
+        }
+    }
+    return text;
+}
+
+function cleanText(text) {
+    return text
+        .replace(/ {2,}/g, ' ')
+        .replace(/ *\t+ */g, '    ')
+        .replace(/ *\n */g, '\n')
+        .trim();
+}
+
+function textAttr(node, name) {
+    return node.getAttributeNS(TEXT_NS, name) ?? node.getAttribute(`text:${name}`);
+}
@@ -2,14 +2,22 @@
  * PDF Parser — Extracts text from PDF files
  *
  * Strategy:
- *   1. Try standard text extraction with pdfjs-dist (spatial-aware layout)
- *   2. If that fails (image-based PDF), fall back to OCR via Tesseract.js
- *      → Renders each page at high resolution, applies image preprocessing,
- *        then runs OCR with optimized settings
+ *   1. Try standard text extraction with pdfjs-dist (spatial-aware layout,
+ *      columns and sidebars ordered by recursive XY-cut)
+ *   2. Per page, fall back to OCR via Tesseract.js when the text layer is
+ *      missing (scanned page) or when a large image carries no text
+ *      (scanned block inside a text page)
+ *      → Renders each page at high resolution, applies an image
+ *        preprocessing preset (ocr-preprocess.js), then runs OCR with
+ *        optimized settings
  *   3. Post-process all extracted text to clean formatting
+ *
+ * Photos and screenshots of a CV go through the same OCR pipeline
+ * (extractTextFromImages), one image per page.
  */
 import * as pdfjsLib from 'pdfjs-dist';
 import { createWorker } from 'tesseract.js';
+import { preprocessImage, DEFAULT_OCR_PRESET } from './ocr-preprocess.js';
 
 // Configure pdfjs worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
@@ -17,221 +25,1273 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
     import.meta.url
 ).toString();
 
-// Minimum characters for "valid" extraction (below = likely image-based)
+// Minimum characters for a "valid" text page (below = likely image-based)
 const MIN_TEXT_THRESHOLD = 80;
 
+// Pages are rendered at 3x for OCR (clear text)
+const OCR_RENDER_SCALE = 3.0;
+// OCR words below this confidence (0-100) are flagged for review
+export const LOW_CONFIDENCE = 60;
+// Concurrent Tesseract workers: leave a core for the UI, cap memory use
+const DEFAULT_OCR_WORKERS = Math.max(1, Math.min(3, (globalThis.navigator?.hardwareConcurrency || 2) - 1));
+// PSM 3 = Fully automatic page segmentation (best for mixed layouts)
+const DEFAULT_PAGE_SEG_MODE = 3;
+
 /**
- * Extract text content from a PDF file.
- * Automatically falls back to OCR for image-based PDFs.
+ * Tesseract languages offered for OCR (traineddata code → label).
+ * Several can be combined, e.g. ['fra', 'eng'] → 'fra+eng'.
+ */
+export const OCR_LANGUAGES = {
+    fra: 'Français',
+    eng: 'English',
+    deu: 'Deutsch',
+    spa: 'Español',
+    ita: 'Italiano',
+    por: 'Português',
+    nld: 'Nederlands',
+    rus: 'Русский',
+    ell: 'Ελληνικά',
+    ara: 'العربية',
+    fas: 'فارسی',
+    heb: 'עברית',
+};
+
+// Languages written in the Latin script: page orientation checks that rely
+// on Latin letter shapes are skipped when OCR reads any other script
+const LATIN_OCR_LANGUAGES = new Set(['fra', 'eng', 'deu', 'spa', 'ita', 'por', 'nld']);
+
+export const DEFAULT_OCR_LANGUAGES = ['fra', 'eng'];
+
+/**
+ * Defaults for the `options` of extractTextFromPDF()
+ */
+export const DEFAULT_EXTRACTION_OPTIONS = {
+    // Tesseract languages, as an array of OCR_LANGUAGES codes or a 'fra+eng' string
+    ocrLanguages: DEFAULT_OCR_LANGUAGES,
+    // Preprocessing preset (see OCR_PRESETS)
+    ocrPreset: DEFAULT_OCR_PRESET,
+    // Render scale of pages sent to OCR
+    renderScale: OCR_RENDER_SCALE,
+    // Tesseract page segmentation mode (3 = auto, 4 = single column, 6 = single block...)
+    pageSegMode: DEFAULT_PAGE_SEG_MODE,
+    // Pages with fewer text-layer characters are OCR'd
+    textThreshold: MIN_TEXT_THRESHOLD,
+    // OCR every page, ignoring the text layer
+    forceOCR: false,
+    // Concurrent Tesseract workers
+    ocrWorkers: DEFAULT_OCR_WORKERS,
+};
+
+// Uploaded images are scaled so their longer side falls in this range
+// (small screenshots are upscaled for Tesseract, large photos capped for memory)
+const IMAGE_OCR_MIN_SIDE = 2000;
+const IMAGE_OCR_MAX_SIDE = 4500;
+
+// Image regions covering at least this share of a text page are OCR candidates...
+const MIN_IMAGE_REGION_RATIO = 0.1;
+// ...unless the text layer already has this many characters inside them
+const MIN_TEXT_IN_REGION = 20;
+
+/**
+ * Raised when a PDF cannot be opened: `reason` is 'password' (protected
+ * and no valid password given) or 'invalid' (corrupted or not a PDF)
+ */
+export class PDFOpenError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'PDFOpenError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Open a PDF with pdfjs. Protected files are retried with the password
+ * returned by `requestPassword` until it is correct or the user gives up
+ * (null).
+ *
+ * @param {File} file
+ * @param {{password?: string, requestPassword?: (info: {incorrect: boolean}) => Promise<string|null>}} [options]
+ * @returns {Promise<import('pdfjs-dist').PDFDocumentProxy>}
+ * @throws {PDFOpenError}
+ */
+export async function openPDFDocument(file, { password, requestPassword } = {}) {
+    const data = await file.arrayBuffer();
+    if (!hasPDFHeader(data)) {
+        throw new PDFOpenError('invalid', `« ${file.name} » n'est pas un fichier PDF.`);
+    }
+
+    for (;;) {
+        try {
+            // pdfjs transfers the buffer to its worker: hand it a copy so retries can reuse it
+            return await pdfjsLib.getDocument({ data: data.slice(0), password }).promise;
+        } catch (err) {
+            if (err?.name === 'PasswordException') {
+                const incorrect = err.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+                password = requestPassword ? await requestPassword({ incorrect }) : null;
+                if (password === null || password === undefined) {
+                    throw new PDFOpenError('password', incorrect ? 'Mot de passe du PDF incorrect.' : 'Ce PDF est protégé par un mot de passe.');
+                }
+                continue;
+            }
+            if (err?.name === 'InvalidPDFException') {
+                throw new PDFOpenError('invalid', `« ${file.name} » est endommagé ou illisible.`);
+            }
+            throw err;
+        }
+    }
+}
+
+/**
+ * The "%PDF-" signature must appear within the first 1024 bytes
+ */
+function hasPDFHeader(data) {
+    const head = new Uint8Array(data, 0, Math.min(1024, data.byteLength));
+    return new TextDecoder('latin1').decode(head).includes('%PDF-');
+}
+
+// ============================================================
+// PDF document session: one parse shared by preview, photo
+// detection and extraction
+// ============================================================
+
+// Rendered pages kept per session, least recently used dropped first
+// (~80 MB of RGBA: a 10-page preview plus a few OCR-scale pages)
+const MAX_RENDER_CACHE_PIXELS = 20e6;
+
+/**
+ * Open a PDF once for everything that reads it: the document is parsed
+ * a single time, rendered pages are cached by scale and the OCR render
+ * worker is kept between runs (e.g. when re-running OCR with another
+ * preset). Call destroy() when the file is discarded.
  *
  * @param {File} file
+ * @param {{password?: string, requestPassword?: Function}} [options] - see openPDFDocument()
+ * @returns {Promise<{file: File, pdf: Object, numPages: number, password: string|null, renderPage: (pageNumber: number, scale: number) => Promise<HTMLCanvasElement>, getOCRRenderer: () => Promise<Object>, destroy: () => void}>}
+ */
+export async function openPDFSession(file, { password = null, requestPassword } = {}) {
+    const pdf = await openPDFDocument(file, {
+        password,
+        requestPassword: requestPassword && (async (info) => (password = await requestPassword(info))),
+    });
+
+    // "page@scale" → { canvas: Promise<HTMLCanvasElement>, pixels }
+    const renders = new Map();
+    let ocrRenderer = null;
+    let destroyed = false;
+
+    const evictRenders = () => {
+        let total = 0;
+        for (const entry of renders.values()) total += entry.pixels;
+        for (const [key, entry] of renders) {
+            if (total <= MAX_RENDER_CACHE_PIXELS || renders.size === 1) break;
+            // Pending renders have no size yet
+            if (!entry.pixels) continue;
+            renders.delete(key);
+            total -= entry.pixels;
+        }
+    };
+
+    const session = {
+        file,
+        pdf,
+        numPages: pdf.numPages,
+        password,
+
+        /**
+         * Page rendered on a white background. The canvas is shared:
+         * callers must copy it before drawing on it.
+         */
+        async renderPage(pageNumber, scale) {
+            const key = `${pageNumber}@${scale}`;
+            let entry = renders.get(key);
+            if (entry) {
+                // Most recently used last
+                renders.delete(key);
+                renders.set(key, entry);
+                return entry.canvas;
+            }
+
+            entry = { canvas: pdf.getPage(pageNumber).then((page) => renderPageToImage(page, scale)), pixels: 0 };
+            renders.set(key, entry);
+            try {
+                const canvas = await entry.canvas;
+                entry.pixels = canvas.width * canvas.height;
+                evictRenders();
+                return canvas;
+            } catch (err) {
+                renders.delete(key);
+                throw err;
+            }
+        },
+
+        /**
+         * Page renderer for OCR jobs (see createPageRenderer), created on
+         * first use and recreated if a cancelled run terminated it
+         */
+        async getOCRRenderer() {
+            if (!ocrRenderer || ocrRenderer.closed) {
+                ocrRenderer = await createPageRenderer(session);
+            }
+            return ocrRenderer;
+        },
+
+        destroy() {
+            if (destroyed) return;
+            destroyed = true;
+            ocrRenderer?.terminate();
+            renders.clear();
+            pdf.destroy();
+        },
+    };
+    return session;
+}
+
+function isPDFSession(source) {
+    return typeof source?.renderPage === 'function' && !!source.pdf;
+}
+
+/**
+ * Run `fn` on a session, opening a short-lived one when given a file
+ */
+async function withPDFSession(source, options, fn) {
+    const session = isPDFSession(source) ? source : await openPDFSession(source, options);
+    try {
+        return await fn(session);
+    } finally {
+        if (session !== source) session.destroy();
+    }
+}
+
+/**
+ * Extract text content from a PDF file.
+ * Decides per page whether the text layer is usable or OCR is needed,
+ * and OCRs large image regions (scanned blocks) of text pages.
+ * Hyperlink targets are written next to their label ("LinkedIn (https://...)")
+ * and returned in `links`.
+ * OCR words below LOW_CONFIDENCE are returned in `ocrWords` with their box
+ * in the OCR image (`ocrImages`) so the user can review them.
+ *
+ * @param {File|Object} source - the PDF file, or a session from openPDFSession()
+ *        to reuse its parsed document, rendered pages and OCR render worker
  * @param {(status: {phase: string, progress: number, page?: number, totalPages?: number}) => void} [onProgress]
- * @returns {Promise<{text: string, numPages: number, method: 'text'|'ocr'}>}
+ * @param {{ocrLanguages?: string[]|string, ocrPreset?: string, renderScale?: number, pageSegMode?: number, textThreshold?: number, forceOCR?: boolean, ocrWorkers?: number, password?: string, requestPassword?: Function, signal?: AbortSignal}} [options]
+ *        - see DEFAULT_EXTRACTION_OPTIONS; `password` / `requestPassword` as in openPDFDocument()
+ *        when `source` is a file; aborting `signal` stops the extraction (OCR workers are
+ *        terminated) and rejects with its reason
+ * @returns {Promise<{text: string, numPages: number, method: 'text'|'ocr'|'hybrid', pages: {page: number, method: 'text'|'ocr'|'hybrid', columns: boolean, characters: number}[], lines: {page: number, text: string, fontSize: number}[], links: {page: number, url: string, text: string}[], ocrPreset: string|null, ocrLanguages: string|null, ocrConfidence: number|null, ocrWords: {page: number, text: string, confidence: number, bbox: number[], image: number}[], ocrImages: {page: number, blob: Blob, width: number, height: number}[]}>}
  */
-export async function extractTextFromPDF(file, onProgress) {
-    const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    const numPages = pdf.numPages;
+export async function extractTextFromPDF(source, onProgress, options = {}) {
+    options = resolveExtractionOptions(options);
+
+    return withPDFSession(source, options, (session) => extractFromSession(session, onProgress, options));
+}
+
+async function extractFromSession(session, onProgress, options) {
+    const { pdf, numPages } = session;
+    const { signal } = options;
 
     // --- Phase 1: Standard text extraction ---
+    signal?.throwIfAborted();
     if (onProgress) onProgress({ phase: 'text', progress: 0 });
 
-    let standardText = await extractWithStandardMethod(pdf, numPages);
+    const standardPages = await extractWithStandardMethod(pdf, numPages, signal);
 
     if (onProgress) onProgress({ phase: 'text', progress: 100 });
 
-    // If we got enough text, clean and use it
-    if (standardText.trim().length >= MIN_TEXT_THRESHOLD) {
-        return {
-            text: postProcessText(standardText),
-            numPages,
-            method: 'text',
-        };
+    // --- Phase 2: Decide per page what needs OCR ---
+    const ocrJobs = [];
+    for (let i = 1; i <= numPages; i++) {
+        signal?.throwIfAborted();
+        const { text, items } = standardPages[i - 1];
+
+        if (options.forceOCR || text.trim().length < options.textThreshold) {
+            // Little or no text layer (or OCR forced): OCR the whole page
+            ocrJobs.push({ page: i, region: null });
+            continue;
+        }
+
+        // Text page: OCR only large images that carry no text layer (scanned blocks)
+        const page = await pdf.getPage(i);
+        const regions = await findImageRegions(page);
+        const [viewX, viewY, viewRight, viewTop] = page.view;
+        const pageArea = (viewRight - viewX) * (viewTop - viewY);
+        for (const region of regions) {
+            const area = (region[2] - region[0]) * (region[3] - region[1]);
+            if (area / pageArea >= MIN_IMAGE_REGION_RATIO && countTextInRect(items, region) < MIN_TEXT_IN_REGION) {
+                ocrJobs.push({ page: i, region });
+            }
+        }
     }
 
-    // --- Phase 2: OCR fallback ---
-    if (onProgress) {
-        onProgress({
-            phase: 'ocr-init',
-            progress: 0,
-            page: 0,
-            totalPages: numPages,
-        });
+    // --- Phase 3: OCR what the text layer is missing ---
+    let ocrResults = [];
+    if (ocrJobs.length > 0) {
+        if (onProgress) {
+            onProgress({
+                phase: 'ocr-init',
+                progress: 0,
+                page: 0,
+                totalPages: numPages,
+                ocrPages: new Set(ocrJobs.map((job) => job.page)).size,
+            });
+        }
+        ocrResults = await extractWithOCR(await session.getOCRRenderer(), ocrJobs, numPages, onProgress, options);
+    }
+
+    // --- Phase 4: Merge page by page ---
+    const pages = [];
+    const pageTexts = [];
+    for (let i = 1; i <= numPages; i++) {
+        const jobIndexes = ocrJobs.map((job, idx) => (job.page === i ? idx : -1)).filter((idx) => idx >= 0);
+        const fullPageJob = jobIndexes.find((idx) => ocrJobs[idx].region === null);
+
+        let method = 'text';
+        let pageText = standardPages[i - 1].text;
+
+        if (fullPageJob !== undefined) {
+            method = 'ocr';
+            pageText = stripOCRPageNumbers(ocrResults[fullPageJob].text);
+        } else if (jobIndexes.length > 0) {
+            method = 'hybrid';
+            // Lay the page out again with the scanned blocks where they sit
+            const { layout, boxes } = standardPages[i - 1];
+            const fontSize = medianFontSize(boxes);
+            const regionBoxes = jobIndexes.flatMap((idx) => ocrRegionBoxes(ocrJobs[idx].region, ocrResults[idx].text, fontSize));
+            if (regionBoxes.length > 0) {
+                Object.assign(standardPages[i - 1], layoutPage(layout, [...boxes, ...regionBoxes]));
+                pageText = standardPages[i - 1].text;
+            }
+        }
+
+        const characters = pageText.trim().length;
+
+        // Links not shown in the page text (icons, images, OCR pages) go below it
+        for (const link of standardPages[i - 1].links) {
+            if (!textShowsLink(pageText, link.url)) {
+                pageText += '\n' + (link.text ? appendLinkTarget(link.text, link.url) : formatLinkTarget(link.url));
+            }
+        }
+
+        // Column detection needs the text layer
+        pages.push({ page: i, method, columns: method !== 'ocr' && standardPages[i - 1].columns, characters });
+        pageTexts.push(pageText);
     }
 
-    const ocrText = await extractWithOCR(pdf, numPages, onProgress);
+    const methods = new Set(pages.map((p) => p.method));
+    const method = methods.size === 1 && !methods.has('hybrid') ? [...methods][0] : 'hybrid';
+
+    return {
+        text: postProcessText(pageTexts.join('\n---\n')),
+        numPages,
+        method,
+        pages,
+        // Layout metadata of text-layer lines (OCR pages contribute none)
+        lines: standardPages
+            .filter((_, idx) => pages[idx].method !== 'ocr')
+            .flatMap((p) => p.lines),
+        links: standardPages.flatMap((p) => p.links),
+        ocrPreset: ocrJobs.length > 0 ? options.ocrPreset : null,
+        ocrLanguages: ocrJobs.length > 0 ? options.ocrLanguages : null,
+        ...summarizeOCRConfidence(ocrJobs, ocrResults),
+    };
+}
+
+/**
+ * Extract text from photos or screenshots of a CV with the same
+ * preprocessing and OCR pipeline as scanned PDF pages.
+ * Each image is one page, in the given order.
+ *
+ * @param {File[]} files - JPG, PNG or WebP images
+ * @param {(status: {phase: string, progress: number, page?: number, totalPages?: number}) => void} [onProgress]
+ * @param {Object} [options] - see DEFAULT_EXTRACTION_OPTIONS (renderScale and
+ *        the text-layer options do not apply: images are scaled to IMAGE_OCR_MIN_SIDE..IMAGE_OCR_MAX_SIDE)
+ *        and `signal` to cancel
+ * @returns {Promise<{text: string, numPages: number, method: 'ocr', pages: {page: number, method: 'ocr', columns: false, characters: number}[], lines: [], links: [], ocrPreset: string, ocrLanguages: string, ocrConfidence: number|null, ocrWords: Object[], ocrImages: Object[]}>}
+ */
+export async function extractTextFromImages(files, onProgress, options = {}) {
+    options = resolveExtractionOptions(options);
+    const numPages = files.length;
+    const jobs = files.map((_, idx) => ({ page: idx + 1, region: null }));
+
+    if (onProgress) {
+        onProgress({ phase: 'ocr-init', progress: 0, page: 0, totalPages: numPages, ocrPages: numPages });
+    }
+    const renderer = createImageRenderer(files);
+    let results;
+    try {
+        results = await extractWithOCR(renderer, jobs, numPages, onProgress, options);
+    } finally {
+        renderer.terminate();
+    }
 
     return {
-        text: postProcessText(ocrText),
+        text: postProcessText(results.map((result) => stripOCRPageNumbers(result.text)).join('\n---\n')),
         numPages,
         method: 'ocr',
+        pages: jobs.map((job, idx) => ({ page: job.page, method: 'ocr', columns: false, characters: results[idx].text.trim().length })),
+        lines: [],
+        links: [],
+        ocrPreset: options.ocrPreset,
+        ocrLanguages: options.ocrLanguages,
+        ...summarizeOCRConfidence(jobs, results),
+    };
+}
+
+// ============================================================
+// Region re-OCR: one block read again with another preprocessing
+// ============================================================
+
+// Small regions are rendered larger than whole pages
+const REGION_OCR_SCALE = 4.0;
+// Tesseract page segmentation: a single uniform block of text
+const REGION_PAGE_SEG_MODE = 6;
+// Bigram similarity for a line of the text to match a line of the region
+const REGION_LINE_SIMILARITY = 0.5;
+// Unrelated lines allowed between two matched lines of the same block
+const REGION_MAX_LINE_GAP = 2;
+
+/**
+ * Run OCR again on a PDF-space rectangle of a page, typically with the
+ * `inverted` preset for light text on a dark sidebar.
+ * Besides the new text, returns what the extraction read there before, so
+ * spliceRegionText() can put it in the right place: the text-layer lines
+ * inside the rectangle, or, when it has no text layer, a second OCR pass
+ * of the region with the extraction preset (`options.previousPreset`);
+ * and the text-layer line just above it, in the same column.
+ *
+ * @param {Object} session - from openPDFSession()
+ * @param {number} pageNumber
+ * @param {number[]} region - [x1, y1, x2, y2] in PDF user space
+ * @param {Object} [options] - as extractTextFromPDF(), plus `previousPreset`
+ * @returns {Promise<{text: string, confidence: number|null, previousLines: string[], anchor: string|null}>}
+ */
+export async function recognizePDFRegion(session, pageNumber, region, options = {}) {
+    options = resolveExtractionOptions({
+        renderScale: REGION_OCR_SCALE,
+        pageSegMode: REGION_PAGE_SEG_MODE,
+        ...options,
+        ocrWorkers: 1,
+    });
+
+    const page = await session.pdf.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    const textItems = items.filter((item) => item.str && item.str.trim());
+    const previousLines = textLinesInRect(textItems, region);
+
+    const jobs = [{ page: pageNumber, region }];
+    if (options.previousPreset && countTextInRect(textItems, region) < MIN_TEXT_IN_REGION) {
+        jobs.push({ page: pageNumber, region, preset: options.previousPreset });
+    }
+    const results = await extractWithOCR(await session.getOCRRenderer(), jobs, session.numPages, null, options);
+    if (results[1]) previousLines.push(...postProcessText(results[1].text).split('\n'));
+
+    return {
+        text: postProcessText(results[0].text),
+        confidence: summarizeOCRConfidence(jobs.slice(0, 1), results.slice(0, 1)).ocrConfidence,
+        previousLines: previousLines.filter((line) => line.trim()),
+        anchor: lineAboveRect(textItems, region),
     };
 }
 
+/**
+ * Put the text of a re-OCR'd region (see recognizePDFRegion) into the
+ * extracted text: in place of the lines read there before when they can
+ * be found, else right after the line above the region, else at the end.
+ *
+ * @param {string} text - the extracted text, possibly edited since
+ * @param {{text: string, previousLines: string[], anchor: string|null}} regionResult
+ * @returns {{text: string, mode: 'replaced'|'inserted'|'appended'}}
+ */
+export function spliceRegionText(text, { text: regionText, previousLines, anchor }) {
+    const lines = text.split('\n');
+    const newLines = regionText.split('\n');
+    const targets = previousLines.map(matchKey).filter((key) => key.length >= 3);
+
+    // Densest run of lines matching the previous reading of the region
+    let best = null;
+    let run = null;
+    if (targets.length > 0) {
+        lines.forEach((line, idx) => {
+            const key = matchKey(line);
+            if (key.length < 3 || !targets.some((target) => bigramSimilarity(key, target) >= REGION_LINE_SIMILARITY)) return;
+            if (run && idx - run.end <= REGION_MAX_LINE_GAP + 1) {
+                run.end = idx;
+                run.count++;
+            } else {
+                run = { start: idx, end: idx, count: 1 };
+            }
+            if (!best || run.count > best.count) best = run;
+        });
+    }
+    // A single common word matching a long block is not enough
+    if (best && best.count >= Math.ceil(targets.length / 3)) {
+        lines.splice(best.start, best.end - best.start + 1, ...newLines);
+        return { text: lines.join('\n'), mode: 'replaced' };
+    }
+
+    if (anchor) {
+        const anchorKey = matchKey(anchor);
+        let anchorIndex = -1;
+        let anchorScore = REGION_LINE_SIMILARITY;
+        lines.forEach((line, idx) => {
+            const score = bigramSimilarity(matchKey(line), anchorKey);
+            if (score >= anchorScore) {
+                anchorIndex = idx;
+                anchorScore = score;
+            }
+        });
+        if (anchorIndex >= 0) {
+            lines.splice(anchorIndex + 1, 0, ...newLines);
+            return { text: lines.join('\n'), mode: 'inserted' };
+        }
+    }
+
+    return { text: text.trim() ? `${text.replace(/\s+$/, '')}\n\n${regionText}` : regionText, mode: 'appended' };
+}
+
+/**
+ * Text-layer items inside a PDF-space rectangle, grouped into lines
+ * from top to bottom
+ */
+function textLinesInRect(items, rect) {
+    const inside = items
+        .filter((item) => isItemInRect(item, rect))
+        .sort((a, b) => b.transform[5] - a.transform[5] || a.transform[4] - b.transform[4]);
+    return groupItemsByBaseline(inside).map((line) => line.map((item) => item.str.trim()).join(' '));
+}
+
+/**
+ * Closest text-layer line above a PDF-space rectangle, within its columns
+ */
+function lineAboveRect(items, rect) {
+    const above = items.filter((item) => {
+        const x = item.transform[4];
+        return x >= rect[0] && x <= rect[2] && item.transform[5] > rect[3];
+    });
+    if (above.length === 0) return null;
+
+    // Lowest baseline first: the first line is the closest one
+    const [line] = groupItemsByBaseline(above.sort((a, b) => a.transform[5] - b.transform[5]));
+    return line.map((item) => item.str.trim()).join(' ');
+}
+
+/**
+ * Split items sorted by baseline into lines of close baselines,
+ * each in reading order (right to left for Arabic or Hebrew lines)
+ */
+function groupItemsByBaseline(items) {
+    const lines = [];
+    for (const item of items) {
+        const last = lines[lines.length - 1];
+        const tolerance = Math.max(2, (item.height || 0) / 2);
+        if (last && Math.abs(last[0].transform[5] - item.transform[5]) <= tolerance) last.push(item);
+        else lines.push([item]);
+    }
+    return lines.map((line) => orderLineItems(line, (item) => ({
+        left: item.transform[4],
+        right: item.transform[4] + item.width,
+        text: item.str,
+        dir: item.dir,
+    })).items);
+}
+
+/**
+ * Letters and digits only, without accents or case, to compare an OCR
+ * reading with the (possibly edited) extracted text
+ */
+function matchKey(line) {
+    return line
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Dice coefficient of the character bigrams of two strings (0..1)
+ */
+function bigramSimilarity(a, b) {
+    if (a.length < 2 || b.length < 2) return a === b ? 1 : 0;
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2);
+        const count = bigrams.get(bigram);
+        if (count) {
+            bigrams.set(bigram, count - 1);
+            shared++;
+        }
+    }
+    return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * OCR pages have no positions: only drop standalone page numbers
+ */
+function stripOCRPageNumbers(text) {
+    return text
+        .split('\n')
+        .filter((line) => !PAGE_NUMBER_PATTERN.test(line.trim()))
+        .join('\n');
+}
+
+/**
+ * Fill in defaults and normalize the languages to Tesseract's 'fra+eng' form
+ */
+function resolveExtractionOptions(options) {
+    const resolved = { ...DEFAULT_EXTRACTION_OPTIONS };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined && value !== null) resolved[key] = value;
+    }
+
+    const languages = (Array.isArray(resolved.ocrLanguages) ? resolved.ocrLanguages : String(resolved.ocrLanguages).split('+'))
+        .map((lang) => lang.trim())
+        .filter(Boolean);
+    resolved.ocrLanguages = (languages.length > 0 ? languages : DEFAULT_OCR_LANGUAGES).join('+');
+    resolved.latinScript = resolved.ocrLanguages.split('+').every((lang) => LATIN_OCR_LANGUAGES.has(lang));
+    return resolved;
+}
+
 // ============================================================
 // Strategy 1: Spatial-aware text extraction (pdfjs-dist)
 // ============================================================
-async function extractWithStandardMethod(pdf, numPages) {
-    let fullText = '';
+
+/**
+ * Extract the text layer of every page.
+ * Returns one entry per page with its text, the non-empty text items,
+ * the emitted lines with their font size, the page hyperlinks and
+ * whether it is laid out in columns (or with a sidebar), plus its kept
+ * boxes and layout metrics to lay it out again (see layoutPage).
+ * Running headers/footers and page numbers are left out of the text.
+ */
+async function extractWithStandardMethod(pdf, numPages, signal) {
+    // --- Pass 1: positioned text boxes of every page ---
+    const layouts = [];
 
     for (let i = 1; i <= numPages; i++) {
+        signal?.throwIfAborted();
         const page = await pdf.getPage(i);
-        const viewport = page.getViewport({ scale: 1.0 });
-        const pageWidth = viewport.width;
-
         const textContent = await page.getTextContent({
             normalizeWhitespace: true,
             disableCombineTextItems: false,
         });
 
-        if (!textContent.items || textContent.items.length === 0) continue;
-
         // Filter out empty items
-        const items = textContent.items.filter(
+        const items = (textContent.items || []).filter(
             (item) => item.str && item.str.trim()
         );
 
-        if (items.length === 0) continue;
+        const linkAnnotations = await readLinkAnnotations(page);
+
+        if (items.length === 0) {
+            layouts.push({ page: i, view: page.view, items, boxes: [], linkAnnotations });
+            continue;
+        }
+
+        // Loading the operator list makes the page fonts (and their real
+        // names, e.g. "ABCDEF+Lato-Bold") available in commonObjs. Fonts are
+        // shared by the whole document: pages drawn with fonts already
+        // loaded by a previous page skip that content-stream pass
+        const fontNames = new Set(items.map((item) => item.fontName));
+        if ([...fontNames].some((fontName) => !page.commonObjs.has(fontName))) {
+            await page.getOperatorList();
+        }
+        const boldFonts = new Set(
+            [...fontNames].filter((fontName) => isBoldFont(page, textContent.styles, fontName))
+        );
 
         // -------------------------------------------------------
-        // Build a spatial map: group items into lines by Y-position
-        // Use dynamic threshold based on average font size
+        // Normalize items into positioned boxes and derive
+        // dynamic thresholds from the average font size
         // -------------------------------------------------------
-        const fontSizes = items.map((item) => Math.abs(item.transform[3] || item.height || 10));
-        const avgFontSize = fontSizes.reduce((a, b) => a + b, 0) / fontSizes.length;
+        const boxes = items.map((item) => ({
+            x: item.transform[4],
+            y: item.transform[5],
+            text: item.str,
+            width: item.width || 0,
+            fontSize: Math.abs(item.transform[3] || item.height || 10),
+            // pdfjs gives each item in logical order with its direction
+            dir: item.dir,
+            bold: boldFonts.has(item.fontName),
+            link: findLinkAt(linkAnnotations, item),
+        }));
+        const avgFontSize = boxes.reduce((s, box) => s + box.fontSize, 0) / boxes.length;
         // Items within 40% of average font size are on the same line
         const lineThreshold = Math.max(avgFontSize * 0.4, 2);
 
-        // Sort top-to-bottom, then left-to-right
-        const sortedItems = [...items].sort((a, b) => {
-            const yA = a.transform[5];
-            const yB = b.transform[5];
-            const yDiff = yB - yA; // PDF Y is bottom-up, so reverse
-            if (Math.abs(yDiff) > lineThreshold) return yDiff;
-            return a.transform[4] - b.transform[4]; // left to right
-        });
+        layouts.push({ page: i, view: page.view, items, boxes, linkAnnotations, avgFontSize, lineThreshold });
+    }
 
-        // Group into lines
-        const lines = [];
-        let currentLine = { y: null, items: [], fontSize: 0 };
+    // --- Pass 2: drop running headers/footers, then lay out each page ---
+    const running = findRunningBoxes(layouts);
+    const pages = [];
 
-        for (const item of sortedItems) {
-            const y = item.transform[5];
-            const fontSize = Math.abs(item.transform[3] || item.height || 10);
+    for (const layout of layouts) {
+        const { page: i, items } = layout;
+        const boxes = layout.boxes.filter((box) => !running.has(box));
+        const links = layout.linkAnnotations.map((link) => ({
+            page: i,
+            url: link.url,
+            text: layout.boxes.filter((box) => box.link === link.url).map((box) => box.text.trim()).join(' '),
+        }));
 
-            if (currentLine.y === null || Math.abs(currentLine.y - y) > lineThreshold) {
-                if (currentLine.items.length > 0) {
-                    lines.push(currentLine);
-                }
-                currentLine = { y, items: [], fontSize };
-            }
+        pages.push({ ...layoutPage(layout, boxes), items, links, layout, boxes });
+    }
 
-            currentLine.items.push({
-                x: item.transform[4],
-                text: item.str,
-                width: item.width || 0,
-                fontSize,
-            });
+    return pages;
+}
 
-            // Update line fontSize to the max
-            if (fontSize > currentLine.fontSize) {
-                currentLine.fontSize = fontSize;
+/**
+ * Lay out the text boxes of one page: split them into regions (columns,
+ * sidebars, header bands) in reading order, then build lines inside each.
+ * @returns {{text: string, lines: {page: number, text: string, fontSize: number}[], columns: boolean}}
+ */
+function layoutPage(layout, boxes) {
+    const { page: i, avgFontSize, lineThreshold } = layout;
+    if (boxes.length === 0) return { text: '', lines: [], columns: false };
+
+    const bodyFontSize = medianFontSize(boxes);
+    // Right-to-left pages (Arabic, Hebrew) read their right column first
+    const regions = xyCut(boxes, bodyFontSize, lineThreshold, isRightToLeft(boxes));
+
+    let pageText = '';
+    const pageLines = [];
+    let markup = createLineMarkup(bodyFontSize);
+    let previous = null;
+    let columns = false;
+
+    for (const region of regions) {
+        const bounds = regionBounds(region);
+        if (previous) {
+            const sameColumn = bounds.left < previous.right && bounds.right > previous.left &&
+                bounds.top <= previous.bottom + lineThreshold;
+            if (!sameColumn) {
+                // New column or sidebar: separate it and restart list nesting
+                columns = true;
+                pageText += '\n';
+                markup = createLineMarkup(bodyFontSize);
+            } else if (previous.bottom - bounds.top > bodyFontSize * 1.5) {
+                pageText += '\n';
             }
         }
-        if (currentLine.items.length > 0) {
-            lines.push(currentLine);
+        previous = bounds;
+
+        for (const line of groupLines(region, lineThreshold)) {
+            const lineText = buildLineText(line.items, avgFontSize).trim();
+            if (!lineText) continue;
+            const marked = markup(lineText, line);
+            pageText += marked + '\n';
+            pageLines.push({ page: i, text: marked, fontSize: Math.round(line.fontSize * 10) / 10 });
         }
+    }
 
-        // -------------------------------------------------------
-        // Detect columns: if there are items consistently at
-        // two different X regions, it's a 2-column layout
-        // -------------------------------------------------------
-        const midPage = pageWidth / 2;
-        let leftCount = 0;
-        let rightCount = 0;
-        for (const line of lines) {
-            const avgX = line.items.reduce((s, it) => s + it.x, 0) / line.items.length;
-            if (avgX < midPage * 0.6) leftCount++;
-            else if (avgX > midPage * 0.8) rightCount++;
-        }
-        const isTwoColumn = leftCount > 3 && rightCount > 3 &&
-            Math.min(leftCount, rightCount) / Math.max(leftCount, rightCount) > 0.25;
+    return { text: pageText, lines: pageLines, columns };
+}
 
-        // -------------------------------------------------------
-        // Build text from lines with smart spacing
-        // -------------------------------------------------------
-        let pageText = '';
-
-        if (isTwoColumn) {
-            // Separate lines into left and right columns, then merge
-            const leftLines = [];
-            const rightLines = [];
-
-            for (const line of lines) {
-                line.items.sort((a, b) => a.x - b.x);
-                const avgX = line.items.reduce((s, it) => s + it.x, 0) / line.items.length;
-
-                // If items span across both halves, it's a full-width line
-                const minX = Math.min(...line.items.map(it => it.x));
-                const maxX = Math.max(...line.items.map(it => it.x + it.width));
-                const span = maxX - minX;
-
-                if (span > pageWidth * 0.6) {
-                    // Full-width line — add to both (will be deduplicated)
-                    const lineText = buildLineText(line.items, avgFontSize);
-                    leftLines.push({ y: line.y, text: lineText, fontSize: line.fontSize, fullWidth: true });
-                } else if (avgX < midPage * 0.7) {
-                    leftLines.push({ y: line.y, text: buildLineText(line.items, avgFontSize), fontSize: line.fontSize });
-                } else {
-                    rightLines.push({ y: line.y, text: buildLineText(line.items, avgFontSize), fontSize: line.fontSize });
-                }
-            }
+/**
+ * Turn the OCR text of an image region into text boxes from the top of
+ * the region down, one per line at body size and leading, so the page
+ * layout places it where the image sits (a scanned sidebar stays a sidebar)
+ */
+function ocrRegionBoxes(region, text, fontSize) {
+    const lines = text.trim().split('\n');
+    const [left, bottom, right, top] = region;
+    const step = Math.min((top - bottom) / lines.length, fontSize * 1.2);
+
+    return lines
+        .map((line, idx) => ({
+            x: left,
+            y: top - step * (idx + 0.5),
+            text: line.trim(),
+            width: right - left,
+            fontSize,
+            bold: false,
+            link: null,
+        }))
+        .filter((box) => box.text);
+}
 
-            // Output: left column first, then right column
-            // But full-width lines (headers, name) come first
-            const fullWidthLines = leftLines.filter(l => l.fullWidth);
-            const pureLeftLines = leftLines.filter(l => !l.fullWidth);
+/**
+ * Count text-layer characters whose origin lies inside a PDF-space rectangle
+ */
+function countTextInRect(items, rect) {
+    let count = 0;
+    for (const item of items) {
+        if (isItemInRect(item, rect)) count += item.str.trim().length;
+    }
+    return count;
+}
 
-            for (const line of fullWidthLines) {
-                if (line.text.trim()) pageText += line.text.trim() + '\n';
-            }
-            if (fullWidthLines.length > 0 && (pureLeftLines.length > 0 || rightLines.length > 0)) {
-                pageText += '\n';
-            }
+function isItemInRect(item, rect) {
+    const x = item.transform[4];
+    const y = item.transform[5];
+    return x >= rect[0] && x <= rect[2] && y >= rect[1] && y <= rect[3];
+}
 
-            // Left column
-            for (const line of pureLeftLines) {
-                if (line.text.trim()) pageText += line.text.trim() + '\n';
-            }
-            if (pureLeftLines.length > 0 && rightLines.length > 0) {
-                pageText += '\n';
+/**
+ * Find where raster images are painted on a page by replaying the
+ * transformation matrix over the operator list.
+ * @returns {Promise<number[][]>} Bounding boxes [x1, y1, x2, y2] in PDF user space
+ */
+async function findImageRegions(page) {
+    const { OPS, Util } = pdfjsLib;
+    const opList = await page.getOperatorList();
+    const regions = [];
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+
+    for (let i = 0; i < opList.fnArray.length; i++) {
+        const fn = opList.fnArray[i];
+        const args = opList.argsArray[i];
+
+        switch (fn) {
+            case OPS.save:
+                stack.push(ctm);
+                break;
+            case OPS.restore:
+                ctm = stack.pop() || ctm;
+                break;
+            case OPS.transform:
+                ctm = Util.transform(ctm, args);
+                break;
+            case OPS.paintFormXObjectBegin:
+                stack.push(ctm);
+                if (args[0]) ctm = Util.transform(ctm, args[0]);
+                break;
+            case OPS.beginGroup:
+                stack.push(ctm);
+                if (args[0]?.matrix) ctm = Util.transform(ctm, args[0].matrix);
+                break;
+            case OPS.paintFormXObjectEnd:
+            case OPS.endGroup:
+                ctm = stack.pop() || ctm;
+                break;
+            case OPS.paintImageXObject:
+            case OPS.paintInlineImageXObject: {
+                // Images are drawn into the unit square of the current matrix
+                const box = [Infinity, Infinity, -Infinity, -Infinity];
+                Util.axialAlignedBoundingBox([0, 0, 1, 1], ctm, box);
+                regions.push(box);
+                break;
             }
+        }
+    }
 
-            // Right column
-            for (const line of rightLines) {
-                if (line.text.trim()) pageText += line.text.trim() + '\n';
-            }
-        } else {
-            // Single column: straightforward
-            for (const line of lines) {
-                line.items.sort((a, b) => a.x - b.x);
-                const lineText = buildLineText(line.items, avgFontSize);
-                if (lineText.trim()) {
-                    pageText += lineText.trim() + '\n';
-                }
+    return regions;
+}
+
+// ============================================================
+// Running headers, footers and page numbers
+// ============================================================
+
+// Only lines in the top / bottom share of the page can be running headers or footers
+const RUNNING_MARGIN_RATIO = 0.12;
+// Same line on another page within this many points counts as the same position
+const RUNNING_Y_TOLERANCE = 4;
+// "Page 2/3", "2 / 3", "Page 2 sur 3", "p. 2", "- 2 -"
+const PAGE_NUMBER_PATTERN = /^(?:(?:page|p\.?)\s*\d+(?:\s*(?:\/|sur|of|de)\s*\d+)?|\d+\s*(?:\/|sur|of|de)\s*\d+|[-–—]?\s*\d{1,3}\s*[-–—]?)$/i;
+
+/**
+ * Find the text boxes of running headers and footers on multi-page
+ * documents: margin lines that recur at the same height on several pages
+ * (digits ignored, so "Jean Dupont — 1/3" and "Jean Dupont — 2/3" match;
+ * lines without letters never do, "2019 - 2021" is content), plus page
+ * numbers. The first occurrence of a recurring line is kept (the name on
+ * page 1); a margin line is a page number when it counts up with the pages.
+ * @returns {Set<Object>} Boxes to leave out
+ */
+function findRunningBoxes(layouts) {
+    const running = new Set();
+    if (layouts.length < 2) return running;
+
+    const candidates = [];
+    const pageNumbers = [];
+
+    for (const layout of layouts) {
+        if (layout.boxes.length === 0) continue;
+        const [, viewBottom, , viewTop] = layout.view;
+        const margin = (viewTop - viewBottom) * RUNNING_MARGIN_RATIO;
+
+        for (const line of groupLines(layout.boxes, layout.lineThreshold)) {
+            if (line.y < viewTop - margin && line.y > viewBottom + margin) continue;
+
+            const text = buildLineText(line.items, layout.avgFontSize).trim();
+            if (PAGE_NUMBER_PATTERN.test(text)) {
+                // "Page 2", "2/3": the page is spelled out, a bare "2" is not
+                const explicit = /^p|\d\s*(?:\/|sur|of|de)\s*\d/i.test(text);
+                pageNumbers.push({ page: layout.page, value: parseInt(text.match(/\d+/)[0], 10), explicit, items: line.items });
+                continue;
             }
+
+            const key = text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+            if (!/\p{L}/u.test(key)) continue;
+            candidates.push({ page: layout.page, y: line.y, text, key, items: line.items });
         }
+    }
+
+    // Page numbers: the same offset from the page index on two pages
+    // ("2", "3"...), or a "Page 2" / "2/3" that matches its own page
+    for (const number of pageNumbers) {
+        const offset = number.value - number.page;
+        const counts = pageNumbers.some((other) => other.page !== number.page && other.value - other.page === offset);
+        if (counts || (number.explicit && offset === 0)) number.items.forEach((box) => running.add(box));
+    }
+
+    for (const candidate of candidates) {
+        const first = candidates.find((other) =>
+            other.key === candidate.key && Math.abs(other.y - candidate.y) <= RUNNING_Y_TOLERANCE
+        );
+        if (first === candidate || first.page === candidate.page) continue;
+
+        candidate.items.forEach((box) => running.add(box));
+        // Numbers changing from page to page: a numbered footer, not content
+        if (first.text !== candidate.text) first.items.forEach((box) => running.add(box));
+    }
+
+    return running;
+}
+
+// ============================================================
+// Layout analysis: recursive XY-cut
+// ============================================================
 
-        fullText += pageText;
+// Minimum whitespace between two columns, relative to the body font size
+const COLUMN_GAP_RATIO = 1.0;
+// Minimum whitespace between two rows, relative to the body font size
+const ROW_GAP_RATIO = 0.1;
+// Rows aligned on both sides of a gap above this share form a table, not columns...
+const ALIGNED_ROWS_RATIO = 0.7;
+// ...unless both sides hold running text (average characters per row)
+const MIN_COLUMN_TEXT_LENGTH = 25;
+// ...or both sides are long but not paired row by row (sidebar sharing the main leading)
+const MIN_COLUMN_ROWS = 6;
+// Rows further than this below a column block start a new band (footer lines)
+const MAX_COLUMN_ROW_GAP = 2.5;
+// A side with a blank hole taller than this is not a column (stray date, band below)
+const MAX_COLUMN_HOLE = 6;
 
-        if (i < numPages) fullText += '\n---\n';
+/**
+ * Split text boxes into regions in reading order.
+ * A region is cut vertically when a whitespace gutter runs through its
+ * full height (columns, sidebars on either side; the right one first on
+ * right-to-left pages), otherwise horizontally
+ * into rows; consecutive rows that together form columns are regrouped
+ * so headers and full-width lines stay where they are on the page.
+ */
+function xyCut(boxes, bodyFontSize, lineThreshold, rtl = false) {
+    const columns = findColumnCut(boxes, bodyFontSize, lineThreshold);
+    if (columns) {
+        if (rtl) columns.reverse();
+        return columns.flatMap((column) => xyCut(column, bodyFontSize, lineThreshold, rtl));
+    }
+
+    const rows = splitRows(boxes, bodyFontSize);
+    if (rows.length <= 1) return [boxes];
+
+    // Regroup the longest runs of consecutive rows that form columns
+    const regions = [];
+    for (let start = 0; start < rows.length;) {
+        let end = start;
+        while (end + 1 < rows.length &&
+            regionBounds(rows[end]).bottom - regionBounds(rows[end + 1]).top <= bodyFontSize * MAX_COLUMN_ROW_GAP) {
+            end++;
+        }
+        while (end > start && !findColumnCut(rows.slice(start, end + 1).flat(), bodyFontSize, lineThreshold)) {
+            end--;
+        }
+        regions.push(rows.slice(start, end + 1).flat());
+        start = end + 1;
     }
 
-    return fullText;
+    if (regions.length === 1) return [boxes];
+    return regions.flatMap((region) => xyCut(region, bodyFontSize, lineThreshold, rtl));
 }
 
 /**
- * Build a single line of text from sorted items with intelligent spacing
+ * Find the widest vertical gutter that separates two real columns.
+ * Returns [left, right] boxes or null.
+ */
+function findColumnCut(boxes, bodyFontSize, lineThreshold) {
+    if (boxes.length < 4) return null;
+
+    const sorted = [...boxes].sort((a, b) => a.x - b.x);
+    const gaps = [];
+    let right = sorted[0].x + sorted[0].width;
+    for (const box of sorted.slice(1)) {
+        if (box.x - right >= bodyFontSize * COLUMN_GAP_RATIO) {
+            gaps.push({ at: (right + box.x) / 2, width: box.x - right });
+        }
+        right = Math.max(right, box.x + box.width);
+    }
+
+    gaps.sort((a, b) => b.width - a.width);
+    for (const gap of gaps) {
+        const left = boxes.filter((box) => box.x < gap.at);
+        const rightSide = boxes.filter((box) => box.x >= gap.at);
+        if (looksLikeColumns(left, rightSide, bodyFontSize, lineThreshold)) return [left, rightSide];
+    }
+    return null;
+}
+
+/**
+ * Tell columns apart from a row layout with a wide gap
+ * ("Developer — ACME      2020 - 2023", "English      Fluent")
+ */
+function looksLikeColumns(a, b, bodyFontSize, lineThreshold) {
+    const rowsA = baselines(a, lineThreshold);
+    const rowsB = baselines(b, lineThreshold);
+    const [fewer, more] = rowsA.length <= rowsB.length ? [rowsA, rowsB] : [rowsB, rowsA];
+    if (fewer.length < 2) return false;
+
+    const hasHole = (rows) => rows.some((y, k) => k > 0 && rows[k - 1] - y > bodyFontSize * MAX_COLUMN_HOLE);
+    if (hasHole(rowsA) || hasHole(rowsB)) return false;
+
+    const aligned = fewer.filter((y) => more.some((other) => Math.abs(other - y) <= lineThreshold)).length;
+    if (aligned / fewer.length < ALIGNED_ROWS_RATIO) return true;
+    if (fewer.length >= MIN_COLUMN_ROWS && more.length - aligned >= 2) return true;
+
+    const charsPerRow = (side, rows) => side.reduce((n, box) => n + box.text.length, 0) / rows.length;
+    return Math.min(charsPerRow(a, rowsA), charsPerRow(b, rowsB)) > MIN_COLUMN_TEXT_LENGTH;
+}
+
+/**
+ * Distinct baselines of a set of boxes, top to bottom
+ */
+function baselines(boxes, lineThreshold) {
+    const ys = boxes.map((box) => box.y).sort((a, b) => b - a);
+    const rows = [];
+    for (const y of ys) {
+        if (rows.length === 0 || rows[rows.length - 1] - y > lineThreshold) rows.push(y);
+    }
+    return rows;
+}
+
+/**
+ * Split boxes into rows separated by horizontal whitespace, top to bottom
+ */
+function splitRows(boxes, bodyFontSize) {
+    const sorted = [...boxes].sort((a, b) => boxTop(b) - boxTop(a));
+    const rows = [];
+    let row = [];
+    let bottom = Infinity;
+
+    for (const box of sorted) {
+        if (row.length > 0 && boxTop(box) < bottom - bodyFontSize * ROW_GAP_RATIO) {
+            rows.push(row);
+            row = [];
+            bottom = Infinity;
+        }
+        row.push(box);
+        bottom = Math.min(bottom, boxBottom(box));
+    }
+    if (row.length > 0) rows.push(row);
+    return rows;
+}
+
+// Approximate glyph extents around the baseline (ascender / descender)
+function boxTop(box) {
+    return box.y + box.fontSize * 0.8;
+}
+
+function boxBottom(box) {
+    return box.y - box.fontSize * 0.2;
+}
+
+function regionBounds(boxes) {
+    return {
+        left: Math.min(...boxes.map((box) => box.x)),
+        right: Math.max(...boxes.map((box) => box.x + box.width)),
+        top: Math.max(...boxes.map(boxTop)),
+        bottom: Math.min(...boxes.map(boxBottom)),
+    };
+}
+
+/**
+ * Group the boxes of one region into lines by Y-position, top-to-bottom
+ * with items in reading order: left-to-right, or right-to-left for lines
+ * mostly made of Arabic or Hebrew (`rtl` is set on those lines)
+ */
+function groupLines(boxes, lineThreshold) {
+    const sorted = [...boxes].sort((a, b) => {
+        const yDiff = b.y - a.y; // PDF Y is bottom-up, so reverse
+        if (Math.abs(yDiff) > lineThreshold) return yDiff;
+        return a.x - b.x;
+    });
+
+    const lines = [];
+    let currentLine = null;
+    for (const box of sorted) {
+        if (!currentLine || Math.abs(currentLine.y - box.y) > lineThreshold) {
+            currentLine = { y: box.y, items: [], fontSize: 0 };
+            lines.push(currentLine);
+        }
+        currentLine.items.push(box);
+        // Line fontSize is the largest in the line
+        currentLine.fontSize = Math.max(currentLine.fontSize, box.fontSize);
+    }
+
+    for (const line of lines) {
+        ({ items: line.items, rtl: line.rtl } = orderLineItems(line.items, (box) => ({
+            left: box.x,
+            right: box.x + box.width,
+            text: box.text,
+            dir: box.dir,
+        })));
+    }
+    return lines;
+}
+
+// Letters of the right-to-left scripts
+const RTL_LETTER = /[\p{Script=Arabic}\p{Script=Hebrew}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+
+/**
+ * Whether text runs are mostly right-to-left: letters are counted by the
+ * direction pdfjs gives each run (script detection when it gives none),
+ * so digits and punctuation do not vote
+ * @param {{text: string, dir?: string}[]} runs
+ */
+function isRightToLeft(runs) {
+    let rtl = 0;
+    let ltr = 0;
+    for (const run of runs) {
+        const letters = run.text.replace(/[^\p{L}]/gu, '').length;
+        if (isRTLRun(run)) rtl += letters;
+        else ltr += letters;
+    }
+    return rtl > ltr;
+}
+
+function isRTLRun(run) {
+    return run.dir === 'rtl' || (run.dir !== 'ltr' && RTL_LETTER.test(run.text));
+}
+
+/**
+ * Put the items of one line in reading order. pdfjs gives each item in
+ * logical order already; right-to-left lines are read from their right
+ * edge, except for embedded left-to-right words ("React", "Node.js")
+ * which keep their order. Numbers alone keep the right-to-left order
+ * (dates in an Arabic line are laid out "2023 - 2020").
+ *
+ * @param {Object[]} items
+ * @param {(item: Object) => {left: number, right: number, text: string, dir?: string}} toRun
+ * @returns {{items: Object[], rtl: boolean}}
+ */
+function orderLineItems(items, toRun) {
+    const runs = new Map(items.map((item) => [item, toRun(item)]));
+    const rtl = isRightToLeft([...runs.values()]);
+    const sorted = [...items].sort((a, b) => (rtl
+        ? runs.get(b).right - runs.get(a).right
+        : runs.get(a).left - runs.get(b).left));
+    if (!rtl) return { items: sorted, rtl };
+
+    for (let start = 0; start < sorted.length; start++) {
+        let end = start;
+        while (end < sorted.length && !isRTLRun(runs.get(sorted[end]))) end++;
+
+        // Reverse the left-to-right words of the run, with the numbers and
+        // symbols between them, but not the punctuation around them
+        const segment = sorted.slice(start, end);
+        const hasWord = (item) => /\p{L}/u.test(runs.get(item).text);
+        const isText = (item) => /[\p{L}\p{N}]/u.test(runs.get(item).text);
+        if (segment.some(hasWord)) {
+            const first = segment.findIndex(isText);
+            const last = segment.length - 1 - [...segment].reverse().findIndex(isText);
+            sorted.splice(start + first, last - first + 1, ...segment.slice(first, last + 1).reverse());
+        }
+        start = end;
+    }
+    return { items: sorted, rtl };
+}
+
+// ============================================================
+// Lightweight markup: headings and list items
+// ============================================================
+
+// Glyphs that open a list item. Icon-font (private-use) glyphs do not:
+// they mark contact lines as often as list items (see normalizeGlyphs)
+const BULLET_GLYPHS = /^(?:[•·▪▫◦●○■□►▶▸➢➤✓✔❖◆◇★‣⁃*]|[-–—](?=\s))\s*/;
+
+/**
+ * Detect bold fonts from the embedded font name or pdfjs font flags
+ */
+function isBoldFont(page, styles, fontName) {
+    let name = styles[fontName]?.fontFamily || '';
+    if (page.commonObjs.has(fontName)) {
+        const font = page.commonObjs.get(fontName);
+        if (font.bold || font.black) return true;
+        name = font.name || name;
+    }
+    return /bold|black|heavy|semibold|demibold|extrabold/i.test(name);
+}
+
+/**
+ * Character-weighted median font size of a page's text boxes (body text size)
+ */
+function medianFontSize(boxes) {
+    const sizes = [];
+    for (const box of boxes) {
+        for (let c = 0; c < box.text.length; c++) sizes.push(box.fontSize);
+    }
+    sizes.sort((a, b) => a - b);
+    return sizes[Math.floor(sizes.length / 2)] || 10;
+}
+
+/**
+ * Create a formatter turning one text stream (page or column) into
+ * Markdown-like lines:
+ *   "# "   very large text (name, title)
+ *   "## "  section headings (larger font, or bold / all-caps short lines)
+ *   "### " bold lines at body size (job titles, schools)
+ *   "- "   bullet items, "  - " when indented under a previous bullet
+ */
+function createLineMarkup(bodyFontSize) {
+    let lastBulletX = null;
+
+    return (text, line) => {
+        if (!line) return text;
+
+        // Indentation is measured from the start edge: the right one in RTL lines
+        const x = line.rtl
+            ? -Math.max(...line.items.map((it) => it.x + it.width))
+            : Math.min(...line.items.map((it) => it.x));
+        const bulletMatch = text.match(BULLET_GLYPHS);
+        if (bulletMatch && text.length > bulletMatch[0].length) {
+            const content = text.slice(bulletMatch[0].length);
+            const nested = lastBulletX !== null && x > lastBulletX + bodyFontSize;
+            if (!nested) lastBulletX = x;
+            return `${nested ? '  ' : ''}- ${content}`;
+        }
+
+        const letters = text.replace(/[^\p{L}]/gu, '');
+        const isShort = text.length <= 60 && text.split(/\s+/).length <= 8 && !/[.,;:]$/.test(text);
+        if (!isShort || letters.length < 2) return text;
+
+        const boldChars = line.items.filter((it) => it.bold).reduce((n, it) => n + it.text.length, 0);
+        const totalChars = line.items.reduce((n, it) => n + it.text.length, 0);
+        const isBold = boldChars / totalChars >= 0.8;
+        const isAllCaps = letters.length >= 4 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+        const ratio = line.fontSize / bodyFontSize;
+
+        let level = 0;
+        if (ratio >= 1.6) level = 1;
+        else if (ratio >= 1.15 || (isAllCaps && (isBold || ratio > 1.05 || text.split(/\s+/).length <= 4))) level = 2;
+        else if (isBold) level = 3;
+
+        if (level) {
+            lastBulletX = null;
+            return `${'#'.repeat(level)} ${text}`;
+        }
+        return text;
+    };
+}
+
+/**
+ * Build a single line of text from items in reading order with
+ * intelligent spacing
  */
 function buildLineText(items, avgFontSize) {
     let lineText = '';
@@ -239,7 +1299,8 @@ function buildLineText(items, avgFontSize) {
         const item = items[j];
         if (j > 0) {
             const prevItem = items[j - 1];
-            const gap = item.x - (prevItem.x + prevItem.width);
+            // Right-to-left lines run the other way, except their Latin words
+            const gap = Math.max(item.x - (prevItem.x + prevItem.width), prevItem.x - (item.x + item.width));
             const spaceWidth = avgFontSize * 0.3; // Approximate space character width
 
             if (gap > spaceWidth * 6) {
@@ -252,10 +1313,66 @@ function buildLineText(items, avgFontSize) {
             // Very small/negative gap = characters in the same word, no space needed
         }
         lineText += item.text;
+
+        // Show the target of a link annotation after its last item on the line
+        if (item.link && items[j + 1]?.link !== item.link) {
+            lineText = appendLinkTarget(lineText, item.link);
+        }
     }
     return lineText;
 }
 
+// ============================================================
+// Hyperlink annotations
+// ============================================================
+
+/**
+ * External link annotations of a page (pdfjs only sets `url` for safe protocols)
+ */
+async function readLinkAnnotations(page) {
+    const annotations = await page.getAnnotations();
+    const links = [];
+    for (const annotation of annotations) {
+        if (annotation.subtype !== 'Link' || !annotation.url) continue;
+        if (links.some((link) => link.url === annotation.url && link.rect.join() === annotation.rect.join())) continue;
+        links.push({ url: annotation.url, rect: annotation.rect });
+    }
+    return links;
+}
+
+/**
+ * URL of the link annotation covering the middle of a text item, if any
+ */
+function findLinkAt(links, item) {
+    const x = item.transform[4] + (item.width || 0) / 2;
+    const y = item.transform[5] + Math.abs(item.transform[3] || item.height || 10) * 0.3;
+    const link = links.find(({ rect }) =>
+        x >= Math.min(rect[0], rect[2]) && x <= Math.max(rect[0], rect[2]) &&
+        y >= Math.min(rect[1], rect[3]) && y <= Math.max(rect[1], rect[3])
+    );
+    return link ? link.url : null;
+}
+
+/**
+ * Link target as shown in the text: no mailto:/tel: scheme
+ */
+function formatLinkTarget(url) {
+    return url.replace(/^(mailto|tel):/i, '');
+}
+
+/**
+ * Whether a text already shows a link target ("linkedin.com/in/jean" for
+ * "https://www.linkedin.com/in/jean/")
+ */
+function textShowsLink(text, url) {
+    const bare = formatLinkTarget(url).replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '');
+    return text.toLowerCase().includes(bare.toLowerCase());
+}
+
+function appendLinkTarget(text, url) {
+    return textShowsLink(text, url) ? text : `${text} (${formatLinkTarget(url)})`;
+}
+
 // ============================================================
 // Strategy 2: OCR via Tesseract.js (for image-based PDFs)
 // ============================================================
@@ -283,150 +1400,403 @@ async function renderPageToImage(page, scale = 3.0) {
 }
 
 /**
- * Apply image preprocessing to improve OCR accuracy:
- * - Grayscale conversion
- * - Contrast enhancement
- * - Slight sharpening
+ * Apply an OCR preprocessing preset (see ocr-preprocess.js) to a canvas.
+ * Returns the canvas to recognize, resized when the page was turned by 90°.
  */
-function preprocessCanvasForOCR(sourceCanvas) {
-    const w = sourceCanvas.width;
-    const h = sourceCanvas.height;
+function preprocessCanvasForOCR(sourceCanvas, presetName, latinScript) {
     const srcCtx = sourceCanvas.getContext('2d');
-    const imageData = srcCtx.getImageData(0, 0, w, h);
-    const data = imageData.data;
+    const imageData = srcCtx.getImageData(0, 0, sourceCanvas.width, sourceCanvas.height);
+    const result = preprocessImage(imageData, presetName, { latinScript });
 
-    // Step 1: Convert to grayscale and enhance contrast
-    // Calculate histogram for adaptive thresholding
-    const histogram = new Array(256).fill(0);
-    for (let i = 0; i < data.length; i += 4) {
-        const gray = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
-        histogram[gray]++;
+    if (result.width !== sourceCanvas.width || result.height !== sourceCanvas.height) {
+        sourceCanvas.width = result.width;
+        sourceCanvas.height = result.height;
     }
+    srcCtx.putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+    return sourceCanvas;
+}
 
-    // Find 5th and 95th percentile for contrast stretching
-    const totalPixels = w * h;
-    let cumulative = 0;
-    let lowVal = 0;
-    let highVal = 255;
-    for (let i = 0; i < 256; i++) {
-        cumulative += histogram[i];
-        if (cumulative >= totalPixels * 0.02 && lowVal === 0) lowVal = i;
-        if (cumulative >= totalPixels * 0.98) {
-            highVal = i;
-            break;
-        }
-    }
+/**
+ * Run OCR on a list of jobs with optimized settings.
+ * A job covers a whole page (`region: null`) or only a PDF-space
+ * rectangle of it; `renderer` turns a job into an OCR-ready image
+ * (createPageRenderer or createImageRenderer). It stays open for the caller
+ * unless the run fails or is cancelled, which terminates it to drop the
+ * renders still queued. Returns one result per job, in the same order: its
+ * text, its words with confidence and box, and the OCR image when some
+ * words need a review.
+ *
+ * Jobs are spread over a pool of Tesseract workers; pages are rendered
+ * and preprocessed in a Web Worker (see createPageRenderer) so the UI
+ * stays responsive. Progress events list every page in flight.
+ * Aborting `options.signal` terminates all workers right away.
+ */
+async function extractWithOCR(renderer, jobs, numPages, onProgress, options) {
+    const { signal } = options;
+    const results = new Array(jobs.length).fill(null);
+    const poolSize = Math.max(1, Math.min(options.ocrWorkers, jobs.length));
+    const workers = [];
+
+    // Jobs being recognized, by job index → { page, progress }
+    const active = new Map();
+    let completed = 0;
+    let nextJob = 0;
+    let failed = false;
+
+    const report = (phase, page, progress) => {
+        if (!onProgress) return;
+        onProgress({
+            phase,
+            progress,
+            page,
+            totalPages: numPages,
+            completed,
+            total: jobs.length,
+            active: [...active.values()].map((entry) => ({ ...entry })),
+        });
+    };
 
-    const range = highVal - lowVal || 1;
+    const runWorker = async () => {
+        let current = null;
 
-    // Step 2: Apply contrast stretching + grayscale
-    for (let i = 0; i < data.length; i += 4) {
-        let gray = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        // Create and initialize a Tesseract worker for the chosen languages
+        const worker = await createWorker(options.ocrLanguages, 1, {
+            logger: (info) => {
+                if (info.status === 'recognizing text' && current) {
+                    current.progress = Math.round(info.progress * 100);
+                    report('ocr-recognize', current.page, current.progress);
+                }
+            },
+        });
+        if (signal?.aborted) {
+            // Cancelled while the worker was loading: the pool is already torn down
+            await worker.terminate();
+            return;
+        }
+        workers.push(worker);
+
+        // Configure Tesseract parameters for better CV extraction
+        await worker.setParameters({
+            tessedit_pageseg_mode: String(options.pageSegMode),
+            // Preserve interword spaces
+            preserve_interword_spaces: '1',
+            // Higher quality output
+            tessedit_char_whitelist: '',
+        });
 
-        // Contrast stretch
-        gray = Math.round(((gray - lowVal) / range) * 255);
-        gray = Math.max(0, Math.min(255, gray));
+        while (!failed && nextJob < jobs.length) {
+            const index = nextJob++;
+            const job = jobs[index];
+            current = { page: job.page, progress: 0 };
+            active.set(index, current);
+            report('ocr-page', job.page, Math.round((completed / jobs.length) * 100));
+
+            // Render at high resolution (3x by default for clear text) and preprocess
+            const image = await renderer.render(job, options.renderScale, job.preset || options.ocrPreset, options.latinScript);
+            const { data } = await worker.recognize(image.blob, {}, { text: true, blocks: true });
+
+            // Use paragraph-aware reconstruction from blocks/lines
+            const words = collectOCRWords(data);
+            results[index] = {
+                text: data.text && data.text.trim() ? reconstructTextFromOCRData(data) : '',
+                words,
+                // Keep the image only when some words need a review against it
+                image: words.some((word) => word.confidence < LOW_CONFIDENCE) ? image : null,
+            };
+
+            active.delete(index);
+            current = null;
+            completed++;
+        }
+    };
 
-        // Slight gamma correction for better text contrast
-        gray = Math.round(255 * Math.pow(gray / 255, 0.85));
+    // Pending recognitions never settle once their worker is terminated,
+    // so cancelling races the pool instead of waiting for it
+    let onAbort = null;
+    const cancelled = new Promise((_, reject) => {
+        onAbort = () => {
+            failed = true;
+            reject(signal.reason);
+        };
+    });
 
-        data[i] = gray;
-        data[i + 1] = gray;
-        data[i + 2] = gray;
-        // Keep alpha unchanged
+    try {
+        signal?.throwIfAborted();
+        signal?.addEventListener('abort', onAbort);
+        const settled = Promise.allSettled(Array.from({ length: poolSize }, () =>
+            runWorker().catch((err) => {
+                // Stop the other workers from picking up new jobs
+                failed = true;
+                throw err;
+            })
+        ));
+        const results = await Promise.race([settled, cancelled]);
+        const error = results.find((result) => result.status === 'rejected');
+        if (error) throw error.reason;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        await Promise.all(workers.map((worker) => worker.terminate()));
+        if (failed) renderer.terminate();
     }
 
-    srcCtx.putImageData(imageData, 0, 0);
-    return sourceCanvas;
+    if (onProgress) {
+        onProgress({
+            phase: 'ocr-done',
+            progress: 100,
+            page: numPages,
+            totalPages: numPages,
+            completed,
+            total: jobs.length,
+            active: [],
+        });
+    }
+
+    return results;
 }
 
 /**
- * Run OCR on all pages of a PDF with optimized settings
+ * Renders and preprocesses the OCR jobs of a PDF session in a Web Worker
+ * on an OffscreenCanvas.
+ * Falls back to the main thread when workers or OffscreenCanvas are not
+ * available, or when the worker fails.
+ * @returns {Promise<{render: (job: Object, scale: number, preset: string, latinScript?: boolean) => Promise<{blob: Blob, width: number, height: number}>, terminate: () => void}>}
  */
-async function extractWithOCR(pdf, numPages, onProgress) {
-    let fullText = '';
-    let currentPage = 0;
+async function createPageRenderer(session) {
+    const { pdf, password } = session;
+    const renderOnMainThread = async (job, scale, preset, latinScript) => {
+        const page = await pdf.getPage(job.page);
+        // Cached page render (several regions of a page share it): work on a copy
+        const pageCanvas = await session.renderPage(job.page, scale);
+        const canvas = cropCanvasToRegion(pageCanvas, page, scale, job.region || page.view);
+        preprocessCanvasForOCR(canvas, preset, latinScript);
+
+        const image = {
+            blob: await new Promise((resolve) => canvas.toBlob(resolve, 'image/png')),
+            width: canvas.width,
+            height: canvas.height,
+        };
+        // Free canvas memory right away
+        canvas.width = 0;
+        canvas.height = 0;
+        return image;
+    };
+
+    let worker = null;
+    if (canUseRenderWorker()) {
+        try {
+            worker = startRenderWorker();
+            const data = await pdf.getData();
+            await callRenderWorker(worker, { type: 'open', data, password }, 'opened', [data.buffer]);
+        } catch (err) {
+            console.warn('OCR render worker unavailable, rendering on the main thread:', err);
+            if (worker) stopRenderWorker(worker);
+            worker = null;
+        }
+    }
 
-    // Create and initialize a Tesseract worker for French + English
-    const worker = await createWorker('fra+eng', 1, {
-        logger: (info) => {
-            if (info.status === 'recognizing text' && onProgress) {
-                onProgress({
-                    phase: 'ocr-recognize',
-                    progress: Math.round(info.progress * 100),
-                    page: currentPage,
-                    totalPages: numPages,
-                });
+    let nextId = 0;
+    return {
+        closed: false,
+        async render(job, scale, preset, latinScript = true) {
+            if (worker) {
+                try {
+                    const message = { type: 'render', id: ++nextId, page: job.page, region: job.region, scale, preset, latinScript };
+                    const { blob, width, height } = await callRenderWorker(worker, message, 'rendered');
+                    return { blob, width, height };
+                } catch (err) {
+                    // Requests cut short by terminate() are not rendered again
+                    if (this.closed) throw err;
+                    console.warn('OCR render worker failed, rendering on the main thread:', err);
+                    // The other pool members' requests are rejected too and fall back
+                    if (worker) stopRenderWorker(worker);
+                    worker = null;
+                }
             }
+            return renderOnMainThread(job, scale, preset, latinScript);
         },
-    });
+        terminate() {
+            this.closed = true;
+            if (worker) stopRenderWorker(worker);
+            worker = null;
+        },
+    };
+}
 
-    // Configure Tesseract parameters for better CV extraction
-    await worker.setParameters({
-        // PSM 3 = Fully automatic page segmentation (best for mixed layouts)
-        tessedit_pageseg_mode: '3',
-        // Preserve interword spaces
-        preserve_interword_spaces: '1',
-        // Higher quality output
-        tessedit_char_whitelist: '',
-    });
+/**
+ * Preprocesses uploaded images for OCR, in the render worker when
+ * possible (same fallback rules as createPageRenderer). Job `page` is
+ * the 1-based index of the image.
+ * @returns {{render: (job: Object, scale: number, preset: string, latinScript?: boolean) => Promise<{blob: Blob, width: number, height: number}>, terminate: () => void}}
+ */
+function createImageRenderer(files) {
+    const renderOnMainThread = async (file, preset, latinScript) => {
+        const bitmap = await decodeImage(file);
+        const scale = imageOCRScale(bitmap);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        // White background: transparent PNG screenshots would turn black
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        preprocessCanvasForOCR(canvas, preset, latinScript);
+
+        const image = {
+            blob: await new Promise((resolve) => canvas.toBlob(resolve, 'image/png')),
+            width: canvas.width,
+            height: canvas.height,
+        };
+        canvas.width = 0;
+        canvas.height = 0;
+        return image;
+    };
 
-    try {
-        for (let i = 1; i <= numPages; i++) {
-            currentPage = i;
-
-            if (onProgress) {
-                onProgress({
-                    phase: 'ocr-page',
-                    progress: Math.round(((i - 1) / numPages) * 100),
-                    page: i,
-                    totalPages: numPages,
-                });
+    let worker = null;
+    if (canUseRenderWorker()) {
+        try {
+            worker = startRenderWorker();
+        } catch (err) {
+            console.warn('OCR render worker unavailable, preprocessing on the main thread:', err);
+            worker = null;
+        }
+    }
+
+    let nextId = 0;
+    return {
+        closed: false,
+        async render(job, scale, preset, latinScript = true) {
+            const file = files[job.page - 1];
+            if (worker) {
+                // An unreadable image fails on its own: the worker stays up for the others
+                const bitmap = await decodeImage(file);
+                try {
+                    const message = { type: 'image', id: ++nextId, image: bitmap, scale: imageOCRScale(bitmap), preset, latinScript };
+                    const { blob, width, height } = await callRenderWorker(worker, message, 'rendered', [bitmap]);
+                    return { blob, width, height };
+                } catch (err) {
+                    if (this.closed) throw err;
+                    console.warn('OCR render worker failed, preprocessing on the main thread:', err);
+                    if (worker) stopRenderWorker(worker);
+                    worker = null;
+                }
             }
+            return renderOnMainThread(file, preset, latinScript);
+        },
+        terminate() {
+            this.closed = true;
+            if (worker) stopRenderWorker(worker);
+            worker = null;
+        },
+    };
+}
 
-            // Render page at high resolution (3x for clear text)
-            const page = await pdf.getPage(i);
-            const canvas = await renderPageToImage(page, 3.0);
+/**
+ * Decode an uploaded image, applying its EXIF orientation (phone photos)
+ */
+async function decodeImage(file) {
+    try {
+        return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+        throw new Error(`Image illisible : ${file.name}`);
+    }
+}
 
-            // Preprocess: grayscale + contrast enhancement
-            preprocessCanvasForOCR(canvas);
+function imageOCRScale({ width, height }) {
+    const longest = Math.max(width, height);
+    if (longest < IMAGE_OCR_MIN_SIDE) return IMAGE_OCR_MIN_SIDE / longest;
+    if (longest > IMAGE_OCR_MAX_SIDE) return IMAGE_OCR_MAX_SIDE / longest;
+    return 1;
+}
 
-            // Run OCR on the preprocessed image
-            const { data } = await worker.recognize(canvas);
+function canUseRenderWorker() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+}
 
-            if (data.text && data.text.trim()) {
-                // Use paragraph-aware reconstruction from blocks/lines
-                const pageText = reconstructTextFromOCRData(data);
-                fullText += pageText;
-            }
+function startRenderWorker() {
+    return new Worker(new URL('./ocr-render-worker.js', import.meta.url), { type: 'module' });
+}
 
-            if (i < numPages) {
-                fullText += '\n---\n';
-            }
+// Rejecters of the requests awaiting a reply, per render worker: a
+// terminated worker sends no more events, so stopRenderWorker settles them
+const pendingRenderRequests = new WeakMap();
 
-            // Cleanup canvas to free memory
-            canvas.width = 0;
-            canvas.height = 0;
-        }
-    } finally {
-        await worker.terminate();
-    }
+/**
+ * Send a request to the render worker and wait for its answer
+ * (requests are answered in order, matched by id)
+ */
+function callRenderWorker(worker, message, replyType, transfer = []) {
+    return new Promise((resolve, reject) => {
+        if (!pendingRenderRequests.has(worker)) pendingRenderRequests.set(worker, new Set());
+        const pending = pendingRenderRequests.get(worker);
+
+        const onMessage = (event) => {
+            const reply = event.data;
+            if (reply.id !== message.id) return;
+            cleanup();
+            if (reply.type === replyType) resolve(reply);
+            else reject(new Error(reply.message || 'OCR render worker error'));
+        };
+        const onError = (event) => {
+            cleanup();
+            reject(event.error || new Error(event.message || 'OCR render worker crashed'));
+        };
+        const onStop = (reason) => {
+            cleanup();
+            reject(reason);
+        };
+        const cleanup = () => {
+            worker.removeEventListener('message', onMessage);
+            worker.removeEventListener('error', onError);
+            pending.delete(onStop);
+        };
+        pending.add(onStop);
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        worker.postMessage(message, transfer);
+    });
+}
 
-    if (onProgress) {
-        onProgress({
-            phase: 'ocr-done',
-            progress: 100,
-            page: numPages,
-            totalPages: numPages,
-        });
+/**
+ * Terminate a render worker, rejecting the requests still waiting for it
+ */
+function stopRenderWorker(worker) {
+    worker.terminate();
+    for (const onStop of pendingRenderRequests.get(worker) || []) {
+        onStop(new Error('OCR render worker terminated'));
     }
+    pendingRenderRequests.delete(worker);
+}
+
+/**
+ * Copy a PDF-space rectangle of a rendered page into its own canvas
+ */
+function cropCanvasToRegion(pageCanvas, page, scale, region) {
+    const viewport = page.getViewport({ scale });
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(region);
+    const left = Math.max(0, Math.floor(Math.min(x1, x2)));
+    const top = Math.max(0, Math.floor(Math.min(y1, y2)));
+    const width = Math.min(pageCanvas.width - left, Math.ceil(Math.abs(x2 - x1)));
+    const height = Math.min(pageCanvas.height - top, Math.ceil(Math.abs(y2 - y1)));
 
-    return fullText;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, width);
+    canvas.height = Math.max(1, height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (width > 0 && height > 0) {
+        ctx.drawImage(pageCanvas, left, top, width, height, 0, 0, width, height);
+    }
+    return canvas;
 }
 
 /**
  * Reconstruct readable text from Tesseract OCR data using
- * block/paragraph/line structure for better formatting
+ * block/paragraph/line structure for better formatting.
+ * Low-confidence words are kept (and reported by collectOCRWords)
+ * rather than silently dropped.
  */
 function reconstructTextFromOCRData(data) {
     // If we have structured blocks, use them for better layout
@@ -445,8 +1815,7 @@ function reconstructTextFromOCRData(data) {
 
                     let lineText = '';
                     for (const word of line.words) {
-                        // Only keep words with reasonable confidence (> 30%)
-                        if (word.confidence > 30 && word.text && word.text.trim()) {
+                        if (word.text && word.text.trim()) {
                             if (lineText) lineText += ' ';
                             lineText += word.text.trim();
                         }
@@ -470,56 +1839,157 @@ function reconstructTextFromOCRData(data) {
     return data.text || '';
 }
 
+/**
+ * Words recognized by Tesseract, in reading order, with their
+ * confidence (0-100) and box [x0, y0, x1, y1] in the OCR image
+ */
+function collectOCRWords(data) {
+    const words = [];
+    for (const block of data.blocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+            for (const line of paragraph.lines || []) {
+                for (const word of line.words || []) {
+                    if (!word.text || !word.text.trim()) continue;
+                    const { x0, y0, x1, y1 } = word.bbox;
+                    words.push({ text: word.text.trim(), confidence: Math.round(word.confidence), bbox: [x0, y0, x1, y1] });
+                }
+            }
+        }
+    }
+    return words;
+}
+
+/**
+ * Overall OCR confidence (character-weighted mean) and the words to review
+ */
+function summarizeOCRConfidence(jobs, results) {
+    const ocrWords = [];
+    const ocrImages = [];
+    let weighted = 0;
+    let characters = 0;
+
+    results.forEach((result, idx) => {
+        let imageIndex = -1;
+        for (const word of result.words) {
+            weighted += word.confidence * word.text.length;
+            characters += word.text.length;
+
+            if (word.confidence >= LOW_CONFIDENCE || !result.image) continue;
+            if (imageIndex < 0) {
+                imageIndex = ocrImages.push({ page: jobs[idx].page, ...result.image }) - 1;
+            }
+            ocrWords.push({ page: jobs[idx].page, ...word, image: imageIndex });
+        }
+    });
+
+    return {
+        ocrConfidence: characters > 0 ? Math.round(weighted / characters) : null,
+        ocrWords,
+        ocrImages,
+    };
+}
+
 // ============================================================
 // Post-processing: Clean and normalize extracted text
 // ============================================================
 
+/**
+ * Common CV section headers (French + English), separated from the text above
+ */
+const SECTION_HEADER_PATTERN = /^(expérience|experience|formation|education|compétences|skills|langues|languages|certifications|projets|projects|profil|profile|résumé|summary|contact|références|references|objectif|objective|centres d'intérêt|hobbies|informations?\s*personnelles?|personal\s*info)/im;
+
+// Ligatures (ﬁ, ﬂ, ﬀ...) and Arabic / Hebrew presentation forms, spelled out by NFKC
+const PRESENTATION_FORMS = /[\uFB00-\uFDFF\uFE70-\uFEFC]+/g;
+
+// Icon glyphs standing for a contact field: Font Awesome codepoints
+// (private use area) and their emoji counterparts
+const ICON_LABELS = new Map(Object.entries({
+    'Phone:': ['\uF095', '\uF098', '\uF879', '\uF10B', '\uF3CD', '\u260E', '\u2706', '\u{1F4DE}', '\u{1F4F1}'],
+    'Email:': ['\uF0E0', '\uF003', '\uF199', '\uF1FA', '\u2709', '\u{1F4E7}', '\u{1F4E9}'],
+    'Address:': ['\uF041', '\uF3C5', '\uF015', '\u{1F4CD}', '\u{1F3E0}'],
+    'Website:': ['\uF0AC', '\uF0C1', '\u{1F310}', '\u{1F517}'],
+    'LinkedIn:': ['\uF0E1', '\uF08C'],
+    'GitHub:': ['\uF09B', '\uF092', '\uF113'],
+    'Twitter:': ['\uF099', '\uF081'],
+}).flatMap(([label, icons]) => icons.map((icon) => [icon, label])));
+
+const ICON_PATTERN = new RegExp(`(?:${[...ICON_LABELS.keys()].join('|')})[ \\t]*`, 'gu');
+
+// Bullet variants opening a line, followed by the item's text
+const LINE_BULLET = /^([ \t]*)(?:[•·▪▫◦●○■□►▶▸➢➤✓✔❖◆◇★‣⁃]|[*–—](?=[ \t]))[ \t]*(?=[\p{L}\p{N}])/gmu;
+
+// Bullet variants separating items on one line ("React ▪ Vue ▪ Node")
+const INLINE_BULLET = /[ \t]+[▪▫◦●○■□►▶▸➢➤❖◆◇★‣⁃][ \t]+/g;
+
+/**
+ * Normalize the glyphs of designer layouts: ligatures are spelled out,
+ * known icons replaced with the label of the field they mark
+ * ("📞 06..." → "Phone: 06..."), bullet variants turned into "- "
+ * list items and "•" separators
+ */
+function normalizeGlyphs(text) {
+    return text
+        .replace(PRESENTATION_FORMS, (forms) => forms.normalize('NFKC'))
+        // Variation selectors only pick the emoji or text style of an icon
+        .replace(/[\uFE00-\uFE0F]/g, '')
+        .replace(ICON_PATTERN, (match) => `${ICON_LABELS.get(match.trimEnd())} `)
+        .replace(LINE_BULLET, '$1- ')
+        .replace(INLINE_BULLET, ' • ')
+        // Other private-use glyphs are icons without a known meaning
+        .replace(/^([ \t]*)[\uE000-\uF8FF][ \t]*/gm, '$1')
+        .replace(/[\uE000-\uF8FF]/g, ' ');
+}
+
 /**
  * Post-process extracted text to fix common issues
  */
 function postProcessText(text) {
     if (!text) return '';
 
-    let cleaned = text;
+    // 1. Normalize ligatures, icon-font glyphs and bullet variants
+    let cleaned = normalizeGlyphs(text);
 
-    // 1. Fix common OCR/extraction artifacts
-    // Remove isolated single characters that are likely noise (except 'I', 'a', etc.)
-    cleaned = cleaned.replace(/^[^a-zA-ZÀ-ÿ0-9]{1,2}$/gm, '');
+    // 2. Fix common OCR/extraction artifacts
+    // Remove lines of one or two symbols that are likely noise (letters and
+    // digits of any script are kept: "I", "я", "ب")
+    cleaned = cleaned.replace(/^[^\p{L}\p{N}]{1,2}$/gmu, '');
+    // Arabic tatweel only stretches words for justification
+    cleaned = cleaned.replace(/\u0640/g, '');
 
-    // 2. Fix broken lines: lines ending with a hyphen should be joined
-    cleaned = cleaned.replace(/(\w)-\n(\w)/g, '$1$2');
+    // 3. Fix broken lines: lines ending with a hyphen should be joined
+    cleaned = cleaned.replace(/(\p{L})-\n(\p{L})/gu, '$1$2');
 
-    // 3. Collapse multiple blank lines to maximum 2
+    // 4. Collapse multiple blank lines to maximum 2
     cleaned = cleaned.replace(/\n{4,}/g, '\n\n\n');
 
-    // 4. Remove excessive spaces within lines
+    // 5. Remove excessive spaces within lines
     cleaned = cleaned.replace(/[ \t]{3,}/g, '    '); // Keep tab-like spaces for columns
     cleaned = cleaned.replace(/ {2}(?! )/g, ' '); // Collapse double spaces (not triple+)
 
-    // 5. Fix common OCR misreads
+    // 6. Fix common OCR misreads
     cleaned = cleaned.replace(/[|]/g, 'l'); // pipe → l
     cleaned = cleaned.replace(/\{/g, '(');   // curly braces → parens
     cleaned = cleaned.replace(/\}/g, ')');
 
-    // 6. Remove lines that are just dots, dashes, or underscores (decorative)
+    // 7. Remove lines that are just dots, dashes, or underscores (decorative)
     cleaned = cleaned.replace(/^[.\-_=•·]{3,}$/gm, '');
 
-    // 7. Trim each line
+    // 8. Trim each line (keeping the indentation of nested list items)
     cleaned = cleaned
         .split('\n')
-        .map((line) => line.trim())
+        .map((line) => (/^\s+- /.test(line) ? '  ' + line.trim() : line.trim()))
         .join('\n');
 
-    // 8. Collapse leading/trailing blank lines
+    // 9. Collapse leading/trailing blank lines
     cleaned = cleaned.replace(/^\n+/, '').replace(/\n+$/, '');
 
-    // 9. Ensure section headers are properly separated
-    // Common CV section headers:
-    const sectionHeaders = /^(expérience|experience|formation|education|compétences|skills|langues|languages|certifications|projets|projects|profil|profile|résumé|summary|contact|références|references|objectif|objective|centres d'intérêt|hobbies|informations?\s*personnelles?|personal\s*info)/im;
+    // 10. Ensure section headers and Markdown headings are properly separated
     cleaned = cleaned.replace(
-        new RegExp(`(\\S)\\n(${sectionHeaders.source})`, 'gim'),
+        // The pattern's own ^ would not match after a "## " prefix
+        new RegExp(`(\\S)\\n((?:#{1,3} )?(?:${SECTION_HEADER_PATTERN.source.replace(/^\^/, '')}))`, 'gim'),
         '$1\n\n$2'
     );
+    cleaned = cleaned.replace(/(\S)\n(#{1,2} )/g, '$1\n\n$2');
 
     return cleaned;
 }
@@ -539,20 +2009,80 @@ export async function getPDFBytes(file) {
 
 /**
  * Render each page of a PDF as canvas elements for visual preview
- * @param {File} file
+ * @param {File|Object} source - PDF file or session (see openPDFSession)
  * @param {number} scale - Render scale (1.0 = 72dpi, 1.5 = decent quality)
+ * @param {{password?: string}} [options] - password of a protected PDF file
  * @returns {Promise<HTMLCanvasElement[]>}
  */
-export async function renderPDFPagesToImages(file, scale = 1.2) {
-    const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    const canvases = [];
+export async function renderPDFPagesToImages(source, scale = 1.2, options = {}) {
+    return withPDFSession(source, options, async (session) => {
+        const canvases = [];
+        for (let i = 1; i <= session.numPages; i++) {
+            canvases.push(await session.renderPage(i, scale));
+        }
+        return canvases;
+    });
+}
 
-    for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const canvas = await renderPageToImage(page, scale);
-        canvases.push(canvas);
+// Profile photo candidates: page-1 images whose width is within this share of the page...
+const PHOTO_WIDTH_RANGE = [0.06, 0.45];
+// ...with a square or portrait shape (width / height)...
+const PHOTO_ASPECT_RANGE = [0.6, 1.4];
+// ...and whose top edge lies in the upper part of the page
+const PHOTO_MAX_TOP_RATIO = 0.45;
+const MAX_PHOTO_CANDIDATES = 3;
+
+/**
+ * Find embedded images on page 1 that look like a profile photo
+ * (face-sized, square-ish, near the top) and return them as JPEG
+ * data URLs, best candidate first.
+ * @param {File|Object} source - PDF file or session (see openPDFSession)
+ */
+export async function findProfilePhotoCandidates(source, scale = 2.0, options = {}) {
+    return withPDFSession(source, options, (session) => findPhotosInSession(session, scale));
+}
+
+async function findPhotosInSession(session, scale) {
+    const page = await session.pdf.getPage(1);
+
+    const [viewX, viewY, viewRight, viewTop] = page.view;
+    const pageWidth = viewRight - viewX;
+    const pageHeight = viewTop - viewY;
+
+    const candidates = [];
+    for (const region of await findImageRegions(page)) {
+        const width = region[2] - region[0];
+        const height = region[3] - region[1];
+        const widthRatio = width / pageWidth;
+        const aspect = width / height;
+        const topRatio = (viewTop - region[3]) / pageHeight;
+
+        if (widthRatio < PHOTO_WIDTH_RANGE[0] || widthRatio > PHOTO_WIDTH_RANGE[1]) continue;
+        if (aspect < PHOTO_ASPECT_RANGE[0] || aspect > PHOTO_ASPECT_RANGE[1]) continue;
+        if (topRatio > PHOTO_MAX_TOP_RATIO) continue;
+
+        // Images drawn twice (soft masks, frames) share the same box
+        const duplicate = candidates.some(({ region: other }) =>
+            Math.abs(other[0] - region[0]) < 2 && Math.abs(other[1] - region[1]) < 2 &&
+            Math.abs(other[2] - region[2]) < 2 && Math.abs(other[3] - region[3]) < 2
+        );
+        if (duplicate) continue;
+
+        candidates.push({ region, score: Math.abs(1 - aspect) + topRatio });
     }
 
-    return canvases;
+    if (candidates.length === 0) return [];
+
+    candidates.sort((a, b) => a.score - b.score);
+    const pageCanvas = await session.renderPage(1, scale);
+    return candidates
+        .slice(0, MAX_PHOTO_CANDIDATES)
+        .map(({ region }) => {
+            const canvas = cropCanvasToRegion(pageCanvas, page, scale, region);
+            const dataURL = canvas.toDataURL('image/jpeg', 0.92);
+            // Free canvas memory right away (the page render belongs to the session)
+            canvas.width = 0;
+            canvas.height = 0;
+            return dataURL;
+        });
 }
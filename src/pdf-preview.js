@@ -0,0 +1,323 @@
+/**
+ * PDF Preview — Lazy page thumbnails for the uploaded CV
+ *
+ * Strategy:
+ *   1. Lay out one placeholder per page, sized from the page dimensions,
+ *      so the scrollbar is right before anything is drawn
+ *   2. Render a page only when its placeholder nears the visible area
+ *      (IntersectionObserver) and drop its canvas once it scrolls far
+ *      away, so 15+ page portfolios stay light
+ *   3. Renders come from the PDF session cache (see openPDFSession), at
+ *      a scale quantized so zooming back and forth reuses them
+ *   4. In selection mode, dragging on a page draws a rectangle that is
+ *      handed back in PDF user space (for region re-OCR)
+ */
+
+// Zoom levels, relative to "fit the preview width"
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.5, 2];
+// Pages this far outside the visible area are rendered ahead / released
+const RENDER_MARGIN = '300px 0px';
+// Render scales are rounded to this step to share cached renders
+const SCALE_STEP = 0.25;
+// Smaller drags (CSS pixels) are treated as clicks
+const MIN_SELECTION_SIZE = 8;
+
+/**
+ * Build the lazy thumbnail list of a PDF session inside `container`
+ * (a scrollable element).
+ *
+ * @param {Object} session - from openPDFSession()
+ * @param {HTMLElement} container
+ * @param {{onChange?: (state: {page: number, numPages: number, zoom: number}) => void, onEnlarge?: (pageNumber: number) => void, onSelectRegion?: (pageNumber: number, region: number[]) => void}} [callbacks]
+ *        `region` is [x1, y1, x2, y2] in PDF user space
+ * @returns {Promise<{goToPage: (pageNumber: number, smooth?: boolean) => void, zoomIn: () => void, zoomOut: () => void, setSelectionMode: (enabled: boolean) => void, destroy: () => void}>}
+ */
+export async function createPDFPreview(session, container, { onChange, onEnlarge, onSelectRegion } = {}) {
+    const sizes = await getPageSizes(session);
+
+    container.innerHTML = '';
+    const slots = sizes.map((_, idx) => {
+        const slot = document.createElement('button');
+        slot.type = 'button';
+        slot.className = 'pdf-thumb';
+        slot.dataset.page = String(idx + 1);
+        slot.title = `Page ${idx + 1} — cliquer pour agrandir`;
+        slot.innerHTML = `<span class="pdf-thumb-label">${idx + 1}</span>`;
+        container.appendChild(slot);
+        return slot;
+    });
+
+    let zoomIndex = ZOOM_LEVELS.indexOf(1);
+    let currentPage = 1;
+    let destroyed = false;
+    let selecting = false;
+    // Rectangle being drawn: { slot, box, startX, startY, pointerId }
+    let drag = null;
+    const nearby = new Set();
+
+    const notify = () => {
+        if (onChange) onChange({ page: currentPage, numPages: slots.length, zoom: ZOOM_LEVELS[zoomIndex] });
+    };
+
+    const layout = () => {
+        const style = getComputedStyle(container);
+        const available = container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+        // Collapsed or hidden: keep the previous layout
+        if (available <= 0) return false;
+
+        const width = Math.floor(available * ZOOM_LEVELS[zoomIndex]);
+        slots.forEach((slot, idx) => {
+            slot.style.width = `${width}px`;
+            slot.style.height = `${Math.round(width * sizes[idx].height / sizes[idx].width)}px`;
+        });
+        return true;
+    };
+
+    const renderSlot = async (slot) => {
+        const idx = Number(slot.dataset.page) - 1;
+        const cssWidth = parseFloat(slot.style.width);
+        if (!cssWidth) return;
+
+        const scale = quantizeScale(cssWidth * (window.devicePixelRatio || 1) / sizes[idx].width);
+        const key = String(scale);
+        if (slot.dataset.scale === key) return;
+        slot.dataset.scale = key;
+
+        try {
+            const canvas = await session.renderPage(idx + 1, scale);
+            // Scrolled away, zoomed again or closed while rendering
+            if (destroyed || slot.dataset.scale !== key || !nearby.has(slot)) return;
+            slot.querySelector('canvas')?.remove();
+            slot.prepend(canvas);
+        } catch (err) {
+            if (!destroyed) console.error(`PDF thumbnail error (page ${idx + 1}):`, err);
+            delete slot.dataset.scale;
+        }
+    };
+
+    const releaseSlot = (slot) => {
+        slot.querySelector('canvas')?.remove();
+        delete slot.dataset.scale;
+    };
+
+    const observer = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            if (entry.isIntersecting) {
+                nearby.add(entry.target);
+                renderSlot(entry.target);
+            } else {
+                nearby.delete(entry.target);
+                releaseSlot(entry.target);
+            }
+        }
+    }, { root: container, rootMargin: RENDER_MARGIN });
+
+    // Current page: the first one whose bottom is past a third of the view
+    const onScroll = () => {
+        const threshold = container.scrollTop + container.clientHeight / 3;
+        const slot = slots.find((candidate) => candidate.offsetTop + candidate.offsetHeight > threshold) || slots[slots.length - 1];
+        const page = Number(slot.dataset.page);
+        if (page !== currentPage) {
+            currentPage = page;
+            notify();
+        }
+    };
+
+    const onClick = (e) => {
+        const slot = e.target.closest('.pdf-thumb');
+        if (slot && !selecting && onEnlarge) onEnlarge(Number(slot.dataset.page));
+    };
+
+    // --- Region selection ---
+    const clearSelection = () => {
+        container.querySelectorAll('.pdf-region-box').forEach((box) => box.remove());
+    };
+
+    const pointInSlot = (slot, e) => {
+        const rect = slot.getBoundingClientRect();
+        return {
+            x: Math.min(Math.max(e.clientX - rect.left, 0), rect.width),
+            y: Math.min(Math.max(e.clientY - rect.top, 0), rect.height),
+        };
+    };
+
+    const onPointerDown = (e) => {
+        const slot = e.target.closest('.pdf-thumb');
+        if (!selecting || !slot || e.button !== 0) return;
+        e.preventDefault();
+        clearSelection();
+
+        const { x, y } = pointInSlot(slot, e);
+        const box = document.createElement('div');
+        box.className = 'pdf-region-box';
+        slot.appendChild(box);
+        slot.setPointerCapture(e.pointerId);
+        drag = { slot, box, startX: x, startY: y, pointerId: e.pointerId };
+        updateBox(x, y);
+    };
+
+    const updateBox = (x, y) => {
+        const { box, startX, startY } = drag;
+        box.style.left = `${Math.min(x, startX)}px`;
+        box.style.top = `${Math.min(y, startY)}px`;
+        box.style.width = `${Math.abs(x - startX)}px`;
+        box.style.height = `${Math.abs(y - startY)}px`;
+    };
+
+    const onPointerMove = (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const { x, y } = pointInSlot(drag.slot, e);
+        updateBox(x, y);
+    };
+
+    const onPointerUp = (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const { slot, box, startX, startY } = drag;
+        drag = null;
+        const { x, y } = pointInSlot(slot, e);
+        if (Math.abs(x - startX) < MIN_SELECTION_SIZE || Math.abs(y - startY) < MIN_SELECTION_SIZE) {
+            box.remove();
+            return;
+        }
+
+        // Slot pixels → scale-1 viewport → PDF user space
+        const idx = Number(slot.dataset.page) - 1;
+        const { viewport } = sizes[idx];
+        const ratio = viewport.width / slot.clientWidth;
+        const [x1, y1] = viewport.convertToPdfPoint(Math.min(x, startX) * ratio, Math.min(y, startY) * ratio);
+        const [x2, y2] = viewport.convertToPdfPoint(Math.max(x, startX) * ratio, Math.max(y, startY) * ratio);
+        const region = [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+        if (onSelectRegion) onSelectRegion(idx + 1, region);
+    };
+
+    const onPointerCancel = () => {
+        drag?.box.remove();
+        drag = null;
+    };
+
+    // Width changes (window resize, preview expanded again) re-layout the pages
+    const resizeObserver = new ResizeObserver(() => {
+        if (layout()) nearby.forEach(renderSlot);
+    });
+
+    const goToPage = (pageNumber, smooth = true) => {
+        const slot = slots[Math.min(Math.max(pageNumber, 1), slots.length) - 1];
+        const paddingTop = parseFloat(getComputedStyle(container).paddingTop);
+        container.scrollTo({ top: Math.max(0, slot.offsetTop - paddingTop), behavior: smooth ? 'smooth' : 'auto' });
+    };
+
+    const setZoomIndex = (index) => {
+        const next = Math.min(Math.max(index, 0), ZOOM_LEVELS.length - 1);
+        if (next === zoomIndex) return;
+        zoomIndex = next;
+        const page = currentPage;
+        // The drawn rectangle is in pixels of the previous zoom
+        clearSelection();
+        layout();
+        goToPage(page, false);
+        nearby.forEach(renderSlot);
+        notify();
+    };
+
+    layout();
+    slots.forEach((slot) => observer.observe(slot));
+    resizeObserver.observe(container);
+    container.addEventListener('scroll', onScroll, { passive: true });
+    container.addEventListener('click', onClick);
+    container.addEventListener('pointerdown', onPointerDown);
+    container.addEventListener('pointermove', onPointerMove);
+    container.addEventListener('pointerup', onPointerUp);
+    container.addEventListener('pointercancel', onPointerCancel);
+    notify();
+
+    return {
+        goToPage,
+        zoomIn: () => setZoomIndex(zoomIndex + 1),
+        zoomOut: () => setZoomIndex(zoomIndex - 1),
+        setSelectionMode(enabled) {
+            selecting = enabled;
+            container.classList.toggle('selecting', enabled);
+            if (!enabled) {
+                onPointerCancel();
+                clearSelection();
+            }
+        },
+        destroy() {
+            destroyed = true;
+            observer.disconnect();
+            resizeObserver.disconnect();
+            container.removeEventListener('scroll', onScroll);
+            container.removeEventListener('click', onClick);
+            container.removeEventListener('pointerdown', onPointerDown);
+            container.removeEventListener('pointermove', onPointerMove);
+            container.removeEventListener('pointerup', onPointerUp);
+            container.removeEventListener('pointercancel', onPointerCancel);
+            container.classList.remove('selecting');
+            container.innerHTML = '';
+        },
+    };
+}
+
+/**
+ * Render one page as large as fits in `maxWidth` × `maxHeight` CSS
+ * pixels, for the enlarged view. Returns its own canvas (cached renders
+ * are shared with the thumbnails).
+ */
+export async function renderPageToFit(session, pageNumber, maxWidth, maxHeight) {
+    const page = await session.pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: 1 });
+    const fit = Math.min(maxWidth / viewport.width, maxHeight / viewport.height);
+    const source = await session.renderPage(pageNumber, quantizeScale(fit * (window.devicePixelRatio || 1)));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    canvas.getContext('2d').drawImage(source, 0, 0);
+    canvas.style.width = `${Math.round(viewport.width * fit)}px`;
+    canvas.style.height = `${Math.round(viewport.height * fit)}px`;
+    return canvas;
+}
+
+/**
+ * Render a PDF-space rectangle of a page, at most `maxWidth` × `maxHeight`
+ * CSS pixels, to show what a region re-OCR is reading
+ */
+export async function renderRegionToFit(session, pageNumber, region, maxWidth, maxHeight) {
+    const page = await session.pdf.getPage(pageNumber);
+    const [x1, y1, x2, y2] = page.getViewport({ scale: 1 }).convertToViewportRectangle(region);
+    const width = Math.abs(x2 - x1);
+    const height = Math.abs(y2 - y1);
+    const fit = Math.min(maxWidth / width, maxHeight / height, 2);
+    const scale = quantizeScale(fit * (window.devicePixelRatio || 1));
+    const source = await session.renderPage(pageNumber, scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(
+        source,
+        Math.min(x1, x2) * scale, Math.min(y1, y2) * scale, canvas.width, canvas.height,
+        0, 0, canvas.width, canvas.height
+    );
+    canvas.style.width = `${Math.round(width * fit)}px`;
+    canvas.style.height = `${Math.round(height * fit)}px`;
+    return canvas;
+}
+
+/**
+ * Displayed size of every page at scale 1 (rotation applied), with the
+ * viewport to map displayed points back to PDF user space
+ */
+async function getPageSizes(session) {
+    const sizes = [];
+    for (let i = 1; i <= session.numPages; i++) {
+        const page = await session.pdf.getPage(i);
+        const viewport = page.getViewport({ scale: 1 });
+        sizes.push({ width: viewport.width, height: viewport.height, viewport });
+    }
+    return sizes;
+}
+
+function quantizeScale(scale) {
+    return Math.max(SCALE_STEP, Math.ceil(scale / SCALE_STEP) * SCALE_STEP);
+}
@@ -0,0 +1,307 @@
+/**
+ * Text Parser — Extracts text from plain text, Markdown and HTML CVs
+ *
+ * Strategy:
+ *   1. Decode the bytes: UTF-8 (or UTF-16 with a byte order mark), and
+ *      Windows-1252 for legacy files that are not valid UTF-8
+ *   2. Convert the source markup into the same blocks as the Word
+ *      importer: headings, nested list items, paragraphs, table rows
+ *   3. Join them with the shared Markdown markup (see joinBlocks), so
+ *      the segmenter reads every format the same way
+ */
+import { formatLink, joinBlocks } from './docx-parser.js';
+
+// Bullet glyphs starting a list item in plain text
+const BULLET_LINE = /^(\s*)(?:[•·▪◦●■►▶➢➤✓✔○*+-]|\d{1,2}[.)])\s+(.*)$/;
+// Spaces of indentation per nested list level
+const INDENT_WIDTH = 2;
+
+/**
+ * Extract text from a plain text file: bullet lines become list items,
+ * section titles are left to the segmenter's header detection.
+ *
+ * @param {File} file
+ * @param {(status: {phase: string, progress: number}) => void} [onProgress]
+ * @returns {Promise<{text: string, numPages: 1, method: 'txt'}>}
+ */
+export async function extractTextFromPlainText(file, onProgress) {
+    if (onProgress) onProgress({ phase: 'document', progress: 0 });
+
+    const blocks = [];
+    for (const line of splitLines(await readText(file))) {
+        const bullet = line.match(BULLET_LINE);
+        if (bullet) blocks.push({ type: 'list', level: indentLevel(bullet[1]), text: bullet[2].trim() });
+        else if (line.trim()) blocks.push({ type: 'paragraph', text: line.trim() });
+        else blocks.push({ type: 'break' });
+    }
+
+    if (onProgress) onProgress({ phase: 'document', progress: 100 });
+    return { text: joinBlocks(blocks), numPages: 1, method: 'txt' };
+}
+
+/**
+ * Extract text from a Markdown file (CommonMark / GitHub flavored):
+ * ATX and setext headings, nested lists, tables, links; emphasis, code
+ * and HTML tags are reduced to their text.
+ *
+ * @param {File} file
+ * @param {(status: {phase: string, progress: number}) => void} [onProgress]
+ * @returns {Promise<{text: string, numPages: 1, method: 'markdown'}>}
+ */
+export async function extractTextFromMarkdown(file, onProgress) {
+    if (onProgress) onProgress({ phase: 'document', progress: 0 });
+
+    const lines = splitLines(await readText(file));
+    const blocks = [];
+    let inFence = false;
+
+    // Front matter (Jekyll, Hugo...): keep its "key: value" lines as text
+    if (lines[0]?.trim() === '---') {
+        const end = lines.indexOf('---', 1);
+        if (end > 0) {
+            for (const line of lines.slice(1, end)) {
+                if (line.trim()) blocks.push({ type: 'paragraph', text: line.trim() });
+            }
+            blocks.push({ type: 'break' });
+            lines.splice(0, end + 1);
+        }
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (/^\s*(?:```|~~~)/.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) {
+            if (line.trim()) blocks.push({ type: 'paragraph', text: line.trim() });
+            continue;
+        }
+
+        const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+        if (atx) {
+            blocks.push({ type: 'heading', level: Math.min(atx[1].length, 3), text: inlineMarkdown(atx[2]) });
+            continue;
+        }
+
+        // Setext heading: a text line underlined with === (title) or --- (section)
+        const underline = lines[i + 1]?.match(/^\s{0,3}(=+|-+)\s*$/);
+        if (underline && line.trim() && !BULLET_LINE.test(line)) {
+            blocks.push({ type: 'heading', level: underline[1][0] === '=' ? 1 : 2, text: inlineMarkdown(line.trim()) });
+            i++;
+            continue;
+        }
+
+        // Horizontal rules
+        if (/^\s{0,3}(?:[-*_]\s*){3,}$/.test(line)) {
+            blocks.push({ type: 'break' });
+            continue;
+        }
+
+        const text = line.replace(/^\s{0,3}(?:>\s?)+/, '');
+        const bullet = text.match(BULLET_LINE);
+        if (bullet) {
+            blocks.push({ type: 'list', level: indentLevel(bullet[1]), text: inlineMarkdown(bullet[2]) });
+        } else if (/^\s*\|.*\|\s*$/.test(text)) {
+            // Table row; the |---|---| delimiter row carries no text
+            const cells = text.trim().slice(1, -1).split('|').map((cell) => inlineMarkdown(cell.trim()));
+            if (!cells.every((cell) => /^:?-*:?$/.test(cell))) {
+                blocks.push({ type: 'row', text: cells.filter(Boolean).join('    ') });
+            }
+        } else if (text.trim()) {
+            blocks.push({ type: 'paragraph', text: inlineMarkdown(text.trim()) });
+        } else {
+            blocks.push({ type: 'break' });
+        }
+    }
+
+    if (onProgress) onProgress({ phase: 'document', progress: 100 });
+    return { text: joinBlocks(blocks), numPages: 1, method: 'markdown' };
+}
+
+/**
+ * Extract text from an HTML file (exported CV page): headings, lists,
+ * tables and links are kept; scripts, styles and navigation are not.
+ *
+ * @param {File} file
+ * @param {(status: {phase: string, progress: number}) => void} [onProgress]
+ * @returns {Promise<{text: string, numPages: 1, method: 'html'}>}
+ */
+export async function extractTextFromHTML(file, onProgress) {
+    if (onProgress) onProgress({ phase: 'document', progress: 0 });
+
+    const doc = new DOMParser().parseFromString(await readText(file), 'text/html');
+    const blocks = convertHTMLBlocks(doc.body, -1);
+
+    if (onProgress) onProgress({ phase: 'document', progress: 100 });
+    return { text: joinBlocks(blocks), numPages: 1, method: 'html' };
+}
+
+// ============================================================
+// Decoding
+// ============================================================
+async function readText(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes);
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes);
+    try {
+        // Also drops a UTF-8 byte order mark
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+function splitLines(text) {
+    return text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+}
+
+function indentLevel(indent) {
+    return Math.floor(indent.replace(/\t/g, '    ').length / INDENT_WIDTH);
+}
+
+// ============================================================
+// Markdown inline markup
+// ============================================================
+
+/**
+ * Reduce inline Markdown to plain text, keeping link targets
+ */
+function inlineMarkdown(text) {
+    return text
+        // Images carry no CV text
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (_, label, url) => formatLink(label, url))
+        .replace(/<((?:https?:\/\/|mailto:)[^>\s]+|[^>\s@]+@[^>\s@]+)>/g, (_, url) => url.replace(/^mailto:/i, ''))
+        .replace(/<[^>]+>/g, '')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, '$1$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// ============================================================
+// HTML conversion
+// ============================================================
+
+const HTML_NS = 'http://www.w3.org/1999/xhtml';
+// Elements whose content is never CV text (inline SVG icons and MathML
+// are skipped by namespace: their tag names are not upper-cased)
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'NAV', 'BUTTON', 'SELECT', 'IFRAME', 'HEAD']);
+// Elements that start a new block of text
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE',
+    'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION',
+    'SUMMARY', 'TABLE', 'UL',
+]);
+
+/**
+ * Convert the children of an HTML element into text blocks.
+ * Inline content between blocks is gathered into paragraphs.
+ */
+function convertHTMLBlocks(container, listLevel) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+        const text = cleanInline(inline);
+        inline = '';
+        if (text) blocks.push(listLevel >= 0 ? { type: 'list', level: listLevel, text } : { type: 'paragraph', text });
+    };
+
+    for (const node of container.childNodes) {
+        if (node.nodeType === 3) {
+            inline += node.nodeValue;
+            continue;
+        }
+        if (node.nodeType !== 1 || isSkipped(node)) continue;
+
+        if (!BLOCK_TAGS.has(node.tagName)) {
+            inline += inlineHTML(node);
+            continue;
+        }
+
+        flush();
+        const heading = node.tagName.match(/^H([1-6])$/);
+        if (heading) {
+            const text = cleanInline(inlineHTML(node));
+            if (text) blocks.push({ type: 'heading', level: Math.min(parseInt(heading[1], 10), 3), text });
+        } else if (node.tagName === 'UL' || node.tagName === 'OL') {
+            for (const item of node.children) {
+                if (item.tagName === 'LI') blocks.push(...convertListItem(item, listLevel + 1));
+            }
+        } else if (node.tagName === 'TABLE') {
+            blocks.push(...convertHTMLTable(node));
+        } else if (node.tagName === 'HR') {
+            blocks.push({ type: 'break' });
+        } else {
+            blocks.push(...convertHTMLBlocks(node, listLevel));
+        }
+    }
+    flush();
+
+    return blocks;
+}
+
+/**
+ * A list item: its own text, then its nested lists one level deeper
+ */
+function convertListItem(item, level) {
+    const blocks = convertHTMLBlocks(item, level);
+    const [first, ...rest] = blocks;
+    if (!first || first.type !== 'list' || first.level !== level) return blocks;
+
+    // Several paragraphs of the same item stay one item
+    const nested = [];
+    for (const block of rest) {
+        if (block.type === 'list' && block.level === level) first.text += ` ${block.text}`;
+        else nested.push(block);
+    }
+    return [first, ...nested];
+}
+
+/**
+ * One line per row, cells separated like PDF columns
+ */
+function convertHTMLTable(table) {
+    const blocks = [];
+    for (const row of table.rows) {
+        const cells = [...row.cells]
+            .map((cell) => convertHTMLBlocks(cell, -1).map((block) => block.type === 'list' ? `• ${block.text}` : block.text).join(' ').trim())
+            .filter(Boolean);
+        if (cells.length > 0) blocks.push({ type: 'row', text: cells.join('    ') });
+    }
+    if (blocks.length > 0) blocks.push({ type: 'break' });
+    return blocks;
+}
+
+function isSkipped(element) {
+    return element.namespaceURI !== HTML_NS || SKIPPED_TAGS.has(element.tagName) || element.hidden;
+}
+
+/**
+ * Text of inline content, with line breaks and link targets
+ */
+function inlineHTML(node) {
+    if (node.nodeType === 3) return node.nodeValue;
+    if (node.nodeType !== 1 || isSkipped(node)) return '';
+    if (node.tagName === 'BR') return '\n';
+    if (node.tagName === 'IMG') return '';
+
+    const text = [...node.childNodes].map(inlineHTML).join('');
+    if (node.tagName === 'A') return formatLink(text, node.getAttribute('href'));
+    return text;
+}
+
+function cleanInline(text) {
+    return text
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}